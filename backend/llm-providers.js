@@ -0,0 +1,168 @@
+// ScamShield - Proveedores de LLM para el análisis IA
+// Todos exponen la misma interfaz: `complete(messages, { schema, signal })` devuelve el texto de la respuesta.
+// `analyzeWithLLM` pide la salida con un esquema estricto, la valida y reintenta con backoff los fallos recuperables.
+const { OpenAI } = require("openai");
+
+// Esquema de la respuesta del modelo; los rangos se validan aquí porque no todos los servidores los aplican
+const AI_ANALYSIS_SCHEMA = {
+	name: "job_scam_analysis",
+	schema: {
+		type: "object",
+		properties: {
+			riskScore: { type: "number", description: "Probabilidad de estafa entre 0 y 1" },
+			confidence: { type: "number", description: "Confianza en la evaluación entre 0 y 1" },
+			reasoning: { type: "string", description: "Explicación breve (máximo 2 frases)" },
+		},
+		required: ["riskScore", "confidence", "reasoning"],
+		additionalProperties: false,
+	},
+};
+
+const MAX_REASONING_LENGTH = 300;
+
+// Proveedor compatible con la API de chat de OpenAI: la propia OpenAI o un servidor local (Ollama, llama.cpp)
+class OpenAICompatibleProvider {
+	constructor({ name, model, apiKey, baseURL }) {
+		this.name = name;
+		this.model = model;
+		// Los reintentos los gestiona analyzeWithLLM, no el SDK
+		this.client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+	}
+
+	async complete(messages, { schema, signal }) {
+		try {
+			const completion = await this.client.chat.completions.create(
+				{
+					model: this.model,
+					messages,
+					max_tokens: 200,
+					temperature: 0.1,
+					response_format: { type: "json_schema", json_schema: { ...schema, strict: true } },
+				},
+				{ signal }
+			);
+			return completion.choices[0]?.message?.content || "";
+		} catch (error) {
+			// Recuperables: timeouts, red, rate limit y errores del servidor; no las peticiones inválidas ni la autenticación
+			const retryable = !error.status || error.status === 429 || error.status >= 500;
+			throw Object.assign(new Error(`${this.name}: ${error.message}`), { status: error.status, retryable });
+		}
+	}
+}
+
+// Proveedor determinista para tests y uso sin red: puntúa por palabras clave del texto de la oferta
+class MockProvider {
+	// `response`: respuesta fija (objeto o texto). `responses`: una por llamada, en orden (un Error se lanza);
+	// la última se repite. `delay`: milisegundos de espera antes de responder, cancelable con el signal
+	constructor({ response, responses, delay = 0 } = {}) {
+		this.name = "mock";
+		this.model = "mock";
+		this.responses = responses || (response ? [response] : []);
+		this.delay = delay;
+		this.calls = 0;
+		this.keywords = ["western union", "training fee", "telegram", "whatsapp", "wire", "gift card", "crypto", "no experience", "urgente", "sin experiencia", "transferencia", "pago por adelantado"];
+	}
+
+	async complete(messages, { signal } = {}) {
+		this.calls++;
+		if (this.delay > 0) await this.wait(signal);
+
+		if (this.responses.length > 0) {
+			const response = this.responses[Math.min(this.calls, this.responses.length) - 1];
+			if (response instanceof Error) throw response;
+			return typeof response === "string" ? response : JSON.stringify(response);
+		}
+
+		const text = messages.map((message) => message.content).join(" ").toLowerCase();
+		const found = this.keywords.filter((keyword) => text.includes(keyword));
+		return JSON.stringify({
+			riskScore: Math.min(found.length * 0.25, 1),
+			confidence: 0.5,
+			reasoning: found.length > 0 ? `Respuesta simulada: menciona ${found.join(", ")}` : "Respuesta simulada: sin señales",
+		});
+	}
+
+	// Igual que el SDK: un aborto por timeout es un error sin status, recuperable
+	wait(signal) {
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(resolve, this.delay);
+			signal?.addEventListener("abort", () => {
+				clearTimeout(timer);
+				reject(Object.assign(new Error("mock: petición cancelada"), { retryable: true }));
+			});
+		});
+	}
+}
+
+// Proveedor según la configuración (LLM_PROVIDER = openai | local | mock)
+function createLLMProvider(env = process.env) {
+	const provider = env.LLM_PROVIDER || "openai";
+
+	switch (provider) {
+		case "openai":
+			return new OpenAICompatibleProvider({ name: "openai", model: env.LLM_MODEL || "gpt-4o-mini", apiKey: env.OPENAI_API_KEY });
+		case "local":
+			// Ollama: http://localhost:11434/v1 · llama.cpp: http://localhost:8080/v1
+			return new OpenAICompatibleProvider({ name: "local", model: env.LLM_MODEL || "llama3.1", apiKey: env.LLM_API_KEY || "local", baseURL: env.LLM_BASE_URL || "http://localhost:11434/v1" });
+		case "mock":
+			return new MockProvider();
+		default:
+			throw new Error(`Proveedor de LLM desconocido: ${provider}`);
+	}
+}
+
+// Extraer el objeto JSON aunque el modelo lo rodee de texto o de un bloque ```json
+function extractJsonObject(text) {
+	const start = text.indexOf("{");
+	const end = text.lastIndexOf("}");
+	if (start === -1 || end <= start) {
+		throw Object.assign(new Error("La respuesta del modelo no contiene JSON"), { retryable: true });
+	}
+
+	try {
+		return JSON.parse(text.slice(start, end + 1));
+	} catch (error) {
+		throw Object.assign(new Error(`JSON inválido en la respuesta del modelo: ${error.message}`), { retryable: true });
+	}
+}
+
+// Validar la respuesta contra AI_ANALYSIS_SCHEMA; una respuesta fuera de esquema se reintenta
+function validateAIAnalysis(text) {
+	const data = extractJsonObject(text);
+	const isUnitNumber = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 1;
+
+	const problems = [];
+	if (!isUnitNumber(data.riskScore)) problems.push("riskScore");
+	if (!isUnitNumber(data.confidence)) problems.push("confidence");
+	if (typeof data.reasoning !== "string") problems.push("reasoning");
+	if (problems.length > 0) {
+		throw Object.assign(new Error(`Respuesta fuera de esquema: ${problems.join(", ")}`), { retryable: true });
+	}
+
+	return { riskScore: data.riskScore, confidence: data.confidence, reasoning: data.reasoning.trim().slice(0, MAX_REASONING_LENGTH) };
+}
+
+/**
+ * Ejecutar el análisis con un proveedor: timeout por intento y hasta `maxRetries` reintentos con backoff exponencial.
+ * Devuelve { riskScore, confidence, reasoning, model } o lanza el último error.
+ */
+async function analyzeWithLLM(provider, messages, { timeoutMs = 10000, maxRetries = 2, baseDelay = 500 } = {}) {
+	for (let attempt = 0; ; attempt++) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+		try {
+			const text = await provider.complete(messages, { schema: AI_ANALYSIS_SCHEMA, signal: controller.signal });
+			return { ...validateAIAnalysis(text), model: `${provider.name}:${provider.model}` };
+		} catch (error) {
+			if (!error.retryable || attempt >= maxRetries) {
+				throw error;
+			}
+			await new Promise((resolve) => setTimeout(resolve, baseDelay * 2 ** attempt));
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+}
+
+module.exports = { AI_ANALYSIS_SCHEMA, OpenAICompatibleProvider, MockProvider, createLLMProvider, validateAIAnalysis, analyzeWithLLM };
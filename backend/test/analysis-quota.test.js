@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const app = require("../server");
+const { enforceAnalysisQuota } = app;
+
+function runQuota(user) {
+	const res = {
+		statusCode: 200,
+		body: null,
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		json(body) {
+			this.body = body;
+			return this;
+		},
+	};
+	let nextCalled = false;
+	enforceAnalysisQuota({ user }, res, () => (nextCalled = true));
+	return { res, nextCalled };
+}
+
+function routeHandlers(method, path) {
+	const layer = app._router.stack.find((candidate) => candidate.route && candidate.route.path === path && candidate.route.methods[method]);
+	return layer.route.stack.map(({ handle }) => handle);
+}
+
+test("con la cuota diaria agotada se rechaza el análisis con quota_exceeded", () => {
+	const { res, nextCalled } = runQuota({ plan: "free", usage: { dailyAnalyses: 50 } });
+	assert.equal(nextCalled, false);
+	assert.equal(res.statusCode, 429);
+	assert.equal(res.body.code, "quota_exceeded");
+	assert.equal(res.body.upgrade, "pro");
+});
+
+test("con cuota disponible el análisis continúa", () => {
+	assert.equal(runQuota({ plan: "free", usage: { dailyAnalyses: 0 } }).nextCalled, true);
+});
+
+test("sólo las rutas de análisis comprueban la cuota; reportar y moderar no", () => {
+	assert.ok(routeHandlers("post", "/api/v1/analyze").includes(enforceAnalysisQuota));
+	assert.ok(routeHandlers("post", "/api/v1/analyze/batch").includes(enforceAnalysisQuota));
+	assert.ok(!routeHandlers("post", "/api/v1/report").includes(enforceAnalysisQuota));
+	assert.ok(!routeHandlers("post", "/api/v1/reports/:id/resolve").includes(enforceAnalysisQuota));
+});
@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detector } = require("../server");
+
+test("una oferta clonada se une al grupo más frecuente entre sus coincidencias", () => {
+	const matches = [
+		{ _id: "650000000000000000000003", clusterId: "b", fingerprint: "f3" },
+		{ _id: "650000000000000000000001", clusterId: "a", fingerprint: "f1" },
+		{ _id: "650000000000000000000004", clusterId: "b", fingerprint: "f4" },
+	];
+	assert.equal(detector.pickCluster(matches), "b");
+});
+
+test("a igualdad de coincidencias gana el grupo de la oferta más antigua, sin depender del orden", () => {
+	const matches = [
+		{ _id: "650000000000000000000005", clusterId: "b", fingerprint: "f5" },
+		{ _id: "650000000000000000000002", clusterId: null, fingerprint: "f2" },
+	];
+	assert.equal(detector.pickCluster(matches), "f2");
+	assert.equal(detector.pickCluster([...matches].reverse()), "f2");
+});
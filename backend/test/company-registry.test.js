@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCompanyRegistry } = require("../server");
+
+test("el CSV admite campos entre comillas con comas, comillas y saltos de línea", () => {
+	const csv = ['name,aliases,domains', '"Acme, Inc.","Acme|ACME Corp, Ltd.",acme.com|acme.io', '"The ""Best"" Co",,best.example', '"Northwind\nTraders",Northwind,northwind.example'].join("\r\n");
+	const { companies, rejected } = parseCompanyRegistry(csv, "csv");
+
+	assert.deepEqual(rejected, []);
+	assert.deepEqual(companies[0], { name: "Acme, Inc.", aliases: ["Acme", "ACME Corp, Ltd."], domains: ["acme.com", "acme.io"] });
+	assert.deepEqual(companies[1], { name: 'The "Best" Co', aliases: [], domains: ["best.example"] });
+	assert.equal(companies[2].name, "Northwind\nTraders");
+});
+
+test("descarta las filas cuyo número de columnas no coincide con la cabecera", () => {
+	const csv = "name,aliases,domains\nAcme, Inc.,Acme,acme.com\nContoso,,contoso.com\nFabrikam\n";
+	const { companies, rejected } = parseCompanyRegistry(csv, "csv");
+
+	assert.deepEqual(rejected, [2, 4]);
+	assert.deepEqual(companies.map((company) => company.name), ["Contoso"]);
+});
+
+test("el registro JSON se lee tal cual", () => {
+	const { companies, rejected } = parseCompanyRegistry(JSON.stringify({ companies: [{ name: "Acme", aliases: [], domains: ["acme.com"] }] }), "json");
+	assert.equal(companies[0].name, "Acme");
+	assert.deepEqual(rejected, []);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detector } = require("../server");
+
+const typosquatOf = (url, company = "") => {
+	const [link] = detector.analyzeLinks({ company, description: `Aplica en ${url}` }).links;
+	const issue = link.issues.find((candidate) => candidate.startsWith("typosquat:"));
+	return issue ? issue.split(":")[1] : null;
+};
+
+test("detecta dominios que imitan marcas conocidas", () => {
+	assert.equal(typosquatOf("https://g00gle-careers.com/apply"), "google");
+	assert.equal(typosquatOf("https://micros0ft.net/jobs"), "microsoft");
+	assert.equal(typosquatOf("https://amazom.com/jobs"), "amazon");
+	assert.equal(typosquatOf("https://wellsfarg0-hr.com"), "wellsfargo");
+	assert.equal(typosquatOf("https://linkedln-jobs.com"), "linkedin");
+});
+
+test("detecta dominios que imitan a la empresa de la oferta", () => {
+	assert.equal(typosquatOf("https://acrne-hiring.com", "Acme Corp"), "acme");
+});
+
+test("no marca palabras corrientes parecidas a una marca corta", () => {
+	assert.equal(typosquatOf("https://apply-now.com/form"), null);
+	assert.equal(typosquatOf("https://chose.com"), null);
+	assert.equal(typosquatOf("https://adore.com"), null);
+	assert.equal(typosquatOf("https://acne.com", "Acme Corp"), null);
+});
+
+test("no marca dominios con palabras corrientes que además son marcas", () => {
+	assert.equal(typosquatOf("https://targets.io/careers"), null);
+	assert.equal(typosquatOf("https://chasejobs.com"), null);
+	assert.equal(typosquatOf("https://chaser-jobs.com"), null);
+	assert.equal(typosquatOf("https://oracles.net/apply"), null);
+	assert.equal(typosquatOf("https://indeeds.org"), null);
+	// Las sustituciones visuales siguen contando
+	assert.equal(typosquatOf("https://0racle-careers.com"), "oracle");
+	assert.equal(typosquatOf("https://targ3t-hiring.com"), "target");
+});
+
+test("no marca el dominio real de la marca o de la empresa", () => {
+	assert.equal(typosquatOf("https://careers.google.com/jobs"), null);
+	assert.equal(typosquatOf("https://acme.com/careers", "Acme Corp"), null);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MockProvider, analyzeWithLLM } = require("../llm-providers");
+const { readIntEnv } = require("../server");
+
+const MESSAGES = [{ role: "user", content: "Oferta de prueba" }];
+const VALID = { riskScore: 0.4, confidence: 0.8, reasoning: "Sin señales claras" };
+const retryable = (message) => Object.assign(new Error(message), { retryable: true });
+
+test("reintenta los errores recuperables y devuelve la primera respuesta válida", async () => {
+	const provider = new MockProvider({ responses: [retryable("503"), "sin json", VALID] });
+	const result = await analyzeWithLLM(provider, MESSAGES, { maxRetries: 2, baseDelay: 1 });
+
+	assert.equal(provider.calls, 3);
+	assert.equal(result.riskScore, 0.4);
+	assert.equal(result.model, "mock:mock");
+});
+
+test("lanza el último error al agotar los reintentos", async () => {
+	const provider = new MockProvider({ responses: [retryable("503")] });
+	await assert.rejects(analyzeWithLLM(provider, MESSAGES, { maxRetries: 2, baseDelay: 1 }), /503/);
+	assert.equal(provider.calls, 3);
+});
+
+test("no reintenta los errores no recuperables ni con maxRetries 0", async () => {
+	const invalid = new MockProvider({ responses: [Object.assign(new Error("401"), { retryable: false }), VALID] });
+	await assert.rejects(analyzeWithLLM(invalid, MESSAGES, { maxRetries: 2, baseDelay: 1 }), /401/);
+	assert.equal(invalid.calls, 1);
+
+	const noRetries = new MockProvider({ responses: [retryable("503"), VALID] });
+	await assert.rejects(analyzeWithLLM(noRetries, MESSAGES, { maxRetries: 0, baseDelay: 1 }), /503/);
+	assert.equal(noRetries.calls, 1);
+});
+
+test("cancela cada intento que supera el timeout", async () => {
+	const provider = new MockProvider({ responses: [VALID], delay: 200 });
+	await assert.rejects(analyzeWithLLM(provider, MESSAGES, { timeoutMs: 20, maxRetries: 1, baseDelay: 1 }), /cancelada/);
+	assert.equal(provider.calls, 2);
+});
+
+test("las variables de entorno numéricas aceptan 0", () => {
+	process.env.SCAMSHIELD_TEST_INT = "0";
+	assert.equal(readIntEnv("SCAMSHIELD_TEST_INT", 2), 0);
+	process.env.SCAMSHIELD_TEST_INT = "abc";
+	assert.equal(readIntEnv("SCAMSHIELD_TEST_INT", 2), 2);
+	delete process.env.SCAMSHIELD_TEST_INT;
+	assert.equal(readIntEnv("SCAMSHIELD_TEST_INT", 2), 2);
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detector } = require("../server");
+
+test("un \"$\" suelto se compara con la referencia de la región de la oferta", () => {
+	const cases = [
+		{ salary: "$80,000 a year", location: "Toronto, ON", currency: "CAD", region: "Canadá" },
+		{ salary: "$95,000", location: "Sydney NSW", currency: "AUD", region: "Australia" },
+		{ salary: "$45,000 mensuales", location: "Ciudad de México", currency: "MXN", region: "México" },
+	];
+
+	for (const { salary, location, currency, region } of cases) {
+		const { parsed, expectedRange } = detector.analyzeSalary(salary, "Software Developer", location);
+		assert.equal(parsed.currency, null, salary);
+		assert.equal(parsed.currencySymbol, "$", salary);
+		assert.equal(expectedRange.currency, currency, salary);
+		assert.equal(expectedRange.region, region, salary);
+	}
+});
+
+test("un \"$\" suelto sin ubicación reconocida se compara con la referencia de EE. UU.", () => {
+	assert.equal(detector.analyzeSalary("$80,000 a year", "Software Developer", "Remote").expectedRange.currency, "USD");
+	assert.equal(detector.analyzeSalary("$80,000 a year", "Software Developer", "").expectedRange.currency, "USD");
+});
+
+test("una moneda explícita prevalece sobre la región de la ubicación", () => {
+	assert.equal(detector.analyzeSalary("US$80,000 a year", "Software Developer", "Toronto, ON").expectedRange.currency, "USD");
+	assert.equal(detector.analyzeSalary("CA$80,000 a year", "Software Developer", "Denver, CO").expectedRange.currency, "CAD");
+});
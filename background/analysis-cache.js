@@ -0,0 +1,77 @@
+// ScamShield - Caché persistente de análisis
+// Las entradas se indexan por el ID canónico del trabajo y guardan un hash del contenido:
+// si la oferta cambia (o caduca el TTL) se vuelve a consultar al backend.
+class AnalysisCache {
+	constructor({ maxEntries = 500 } = {}) {
+		this.maxEntries = maxEntries;
+		this.entries = null; // Se carga desde storage la primera vez que se usa
+	}
+
+	// Hash FNV-1a de los campos que determinan el resultado del análisis
+	static hashJob(job) {
+		const content = [job.title, job.company, job.location, job.salary, job.description].map((value) => value || "").join("\u0000");
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < content.length; i++) {
+			hash ^= content.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return (hash >>> 0).toString(16);
+	}
+
+	async load() {
+		if (this.entries) return this.entries;
+
+		return new Promise((resolve) => {
+			chrome.storage.local.get(["analysisCache"], (result) => {
+				this.entries = result.analysisCache || {};
+				resolve(this.entries);
+			});
+		});
+	}
+
+	async get(key, hash) {
+		const entries = await this.load();
+		const entry = entries[key];
+
+		if (!entry || entry.hash !== hash || entry.expiresAt <= Date.now()) {
+			return null;
+		}
+		return entry.analysis;
+	}
+
+	async set(key, hash, analysis, ttl) {
+		const entries = await this.load();
+		entries[key] = { hash, analysis, expiresAt: Date.now() + ttl, storedAt: Date.now() };
+		this.prune();
+		return this.save();
+	}
+
+	// Eliminar las entradas (tarjeta y detalle) de un trabajo; `matches` permite quedarse solo con algunas
+	async deleteJob(jobId, matches = () => true) {
+		const entries = await this.load();
+		const keys = Object.keys(entries).filter((key) => entries[key].analysis.jobId === jobId && matches(entries[key]));
+		if (keys.length === 0) return;
+
+		keys.forEach((key) => delete entries[key]);
+		return this.save();
+	}
+
+	async clear() {
+		this.entries = {};
+		return this.save();
+	}
+
+	// Eliminar entradas caducadas y las más antiguas si se supera el máximo
+	prune() {
+		const now = Date.now();
+		const live = Object.entries(this.entries).filter(([, entry]) => entry.expiresAt > now);
+		const limited = live.sort((a, b) => b[1].storedAt - a[1].storedAt).slice(0, this.maxEntries);
+		this.entries = Object.fromEntries(limited);
+	}
+
+	save() {
+		return new Promise((resolve) => {
+			chrome.storage.local.set({ analysisCache: this.entries }, resolve);
+		});
+	}
+}
@@ -0,0 +1,59 @@
+// ScamShield - Cola de análisis compartida por todas las pestañas
+// Deduplica trabajos en curso, limita las peticiones simultáneas al backend
+// y reintenta con backoff exponencial los errores recuperables.
+class AnalysisQueue {
+	constructor({ worker, concurrency = 3, maxRetries = 3, baseDelay = 1000 }) {
+		this.worker = worker;
+		this.concurrency = concurrency;
+		this.maxRetries = maxRetries;
+		this.baseDelay = baseDelay;
+		this.pending = new Map(); // clave -> promesa compartida
+		this.waiting = [];
+		this.running = 0;
+	}
+
+	// Encolar un trabajo; si ya hay uno en curso con la misma clave se reutiliza su promesa
+	enqueue(key, payload) {
+		if (this.pending.has(key)) {
+			return this.pending.get(key);
+		}
+
+		const promise = new Promise((resolve, reject) => {
+			this.waiting.push({ payload, resolve, reject });
+			this.next();
+		}).finally(() => this.pending.delete(key));
+
+		this.pending.set(key, promise);
+		return promise;
+	}
+
+	next() {
+		while (this.running < this.concurrency && this.waiting.length > 0) {
+			const task = this.waiting.shift();
+			this.running++;
+
+			this.runWithRetry(task.payload)
+				.then(task.resolve, task.reject)
+				.finally(() => {
+					this.running--;
+					this.next();
+				});
+		}
+	}
+
+	async runWithRetry(payload) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await this.worker(payload);
+			} catch (error) {
+				if (!error.retryable || attempt >= this.maxRetries) {
+					throw error;
+				}
+
+				// Respetar Retry-After si el backend lo envía; si no, backoff exponencial con jitter
+				const delay = error.retryAfter || this.baseDelay * 2 ** attempt + Math.random() * 250;
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+	}
+}
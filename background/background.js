@@ -1,8 +1,22 @@
 // ScamShield Background Script - Service Worker
+importScripts("/config/config.js", "/config/site-adapters.js", "/background/analysis-queue.js", "/background/analysis-cache.js", "/background/report-outbox.js");
+
 class ScamShieldBackground {
 	constructor() {
+		this.apiBase = API_BASE_URL;
+		this.analysisQueue = new AnalysisQueue({
+			worker: ({ job, tabId }) => this.runAnalysis(job, tabId),
+			concurrency: 3,
+			maxRetries: 3,
+		});
+		this.analysisCache = new AnalysisCache({ maxEntries: 500 });
+		this.reportOutbox = new ReportOutbox({
+			sender: (body) => this.sendReport(body),
+			onSettled: (item, outcome) => this.handleReportSettled(item, outcome),
+		});
+		this.siteRegistry = new SiteAdapterRegistry();
+		this.registryReady = this.siteRegistry.load();
 		this.setupEventListeners();
-		this.supportedSites = ["linkedin.com", "indeed.com", "glassdoor.com", "ziprecruiter.com"];
 	}
 
 	setupEventListeners() {
@@ -37,6 +51,20 @@ class ScamShieldBackground {
 		chrome.runtime.onStartup.addListener(() => {
 			this.onStartup();
 		});
+
+		// Reintentos de la bandeja de salida de reportes
+		chrome.alarms.onAlarm.addListener((alarm) => {
+			if (alarm.name === REPORT_OUTBOX_ALARM) {
+				this.reportOutbox.flush();
+			}
+		});
+
+		self.addEventListener("online", () => {
+			this.reportOutbox.resume();
+		});
+
+		// El service worker puede haberse detenido con reportes pendientes
+		this.reportOutbox.flush();
 	}
 
 	async toggleSidePanel(tabId) {
@@ -62,6 +90,7 @@ class ScamShieldBackground {
 
 	async updateSidePanelState(tabId) {
 		try {
+			await this.registryReady;
 			const tab = await chrome.tabs.get(tabId);
 			const isSupported = this.isSupportedSite(tab.url);
 
@@ -86,7 +115,7 @@ class ScamShieldBackground {
 
 				chrome.action.setTitle({
 					tabId: tabId,
-					title: "ScamShield - Click para abrir panel",
+					title: i18n("actionTitleActive"),
 				});
 			} else {
 				// Deshabilitar para sitios no compatibles
@@ -107,7 +136,7 @@ class ScamShieldBackground {
 
 				chrome.action.setTitle({
 					tabId: tabId,
-					title: "ScamShield - No disponible en esta página",
+					title: i18n("actionTitleInactive"),
 				});
 			}
 
@@ -126,8 +155,24 @@ class ScamShieldBackground {
 	}
 
 	isSupportedSite(url) {
-		if (!url) return false;
-		return this.supportedSites.some((site) => url.includes(site));
+		return this.siteRegistry.isSupported(url);
+	}
+
+	// Descargar un paquete de adaptadores más nuevo desde el backend, si existe
+	async refreshSiteAdapters() {
+		try {
+			await this.registryReady;
+			const response = await fetch(`${this.apiBase}/site-adapters?since=${this.siteRegistry.version}`);
+			// 204: el backend no tiene una versión más nueva
+			if (!response.ok || response.status === 204) return;
+
+			const pack = await response.json();
+			if (await this.siteRegistry.saveIfNewer(pack)) {
+				console.log(`🛡️ Adaptadores de sitios actualizados a v${pack.version}`);
+			}
+		} catch (error) {
+			console.warn("No se pudieron actualizar los adaptadores de sitios:", error);
+		}
 	}
 
 	async handleMessage(message, sender, sendResponse) {
@@ -137,12 +182,34 @@ class ScamShieldBackground {
 					await this.handleJobDetected(message.data, sender.tab?.id);
 					break;
 
+				case "analyzeJob":
+					sendResponse(await this.handleAnalyzeJob(message.job, message.localAnalysis, sender.tab?.id));
+					break;
+
 				case "analysisComplete":
 					await this.handleAnalysisComplete(message.data, sender.tab?.id);
 					break;
 
 				case "scamReported":
-					await this.handleScamReport(message.data);
+					sendResponse(await this.handleScamReport(message.data));
+					break;
+
+				case "getReportHistory":
+					sendResponse(await this.getReportHistory());
+					break;
+
+				case "getReportOutbox":
+					sendResponse(await this.reportOutbox.list());
+					break;
+
+				case "retryReport":
+					sendResponse(await this.reportOutbox.retry(message.id));
+					break;
+
+				case "discardReport":
+					await this.reportOutbox.discard(message.id);
+					await this.removeReport(message.id);
+					sendResponse({ success: true });
 					break;
 
 				case "getSidePanelData":
@@ -150,6 +217,10 @@ class ScamShieldBackground {
 					sendResponse(data);
 					break;
 
+				case "settingsUpdated":
+					await this.broadcastToSupportedTabs({ action: "settingsUpdated", settings: message.settings });
+					break;
+
 				case "openSidePanel":
 					await this.toggleSidePanel(sender.tab?.id);
 					break;
@@ -163,6 +234,156 @@ class ScamShieldBackground {
 		}
 	}
 
+	// Análisis pedido por un content script: pasa por la cola compartida
+	async handleAnalyzeJob(job, localAnalysis, tabId) {
+		// Caché primero: si la oferta no cambió y no caducó, responder sin ir al backend
+		const cached = await this.analysisCache.get(this.getJobKey(job), AnalysisCache.hashJob(job));
+		await this.recordCacheLookup(cached !== null);
+		if (cached) {
+			return { analysis: cached, cached: true };
+		}
+
+		try {
+			const analysis = await this.analysisQueue.enqueue(this.getJobKey(job), { job, tabId });
+			return { analysis };
+		} catch (error) {
+			console.warn("Error en análisis IA:", error);
+			const reason = this.getUnavailableReason(error);
+			await this.handleAnalysisUnavailable(job, localAnalysis, reason, tabId);
+			return { unavailable: true, reason };
+		}
+	}
+
+	// Motivo por el que no hay análisis: offline | unauthorized | quota_exceeded | rate_limited | server_error
+	getUnavailableReason(error) {
+		if (["unauthorized", "quota_exceeded", "rate_limited", "server_error"].includes(error.code)) return error.code;
+		if (!error.status) return "offline";
+		if (error.status === 401 || error.status === 403) return "unauthorized";
+		if (error.status === 429) return "rate_limited";
+		return "server_error";
+	}
+
+	// Registrar el trabajo como "desconocido" (no como riesgo bajo), con el análisis local como respaldo.
+	// Si ya había un análisis correcto de la misma oferta se conserva y solo se anota el fallo en lastUnavailable
+	async handleAnalysisUnavailable(job, localAnalysis, reason, tabId) {
+		const previous = await this.getStoredAnalysis(job.id);
+		const unavailable = {
+			jobId: job.id,
+			jobTitle: job.title,
+			company: job.company,
+			location: job.location,
+			salary: job.salary,
+			status: "unavailable",
+			reason,
+			risk: null,
+			confidence: 0,
+			localRisk: localAnalysis ? localAnalysis.risk : null,
+			flags: localAnalysis ? localAnalysis.flags : [],
+			flagCodes: localAnalysis ? localAnalysis.flagCodes : [],
+			contacts: localAnalysis ? localAnalysis.contacts : null,
+		};
+		const analysis = previous && previous.status !== "unavailable" ? { ...previous, lastUnavailable: { reason, at: Date.now() } } : unavailable;
+
+		await this.saveAnalysis(analysis);
+
+		const stats = await this.getStats();
+		stats.analysesUnavailable = (stats.analysesUnavailable || 0) + 1;
+		await this.saveStats(stats);
+
+		// Notificar al sidepanel
+		chrome.runtime
+			.sendMessage({
+				action: "analysisCompleteUpdate",
+				data: { analysis, stats },
+				tabId: tabId,
+			})
+			.catch(() => {});
+	}
+
+	// La vista de detalle trae más datos que la tarjeta, así que no se deduplican entre sí
+	getJobKey(job) {
+		return `${job.site}:${job.id}:${job.detailed ? "detail" : "card"}`;
+	}
+
+	async runAnalysis(job, tabId) {
+		const result = await this.requestAnalysis(job);
+
+		// El backend respondió pero no pudo analizar: no se cachea ni se cuenta como riesgo bajo
+		if (result.status === "unavailable") {
+			throw Object.assign(new Error("Análisis no disponible en el backend"), { status: 200, code: result.reason || "server_error" });
+		}
+		const analysis = {
+			jobTitle: job.title,
+			company: job.company,
+			location: job.location,
+			salary: job.salary,
+			...result,
+			jobId: job.id,
+		};
+
+		// Si la comunidad cambió el estado de la oferta, la otra vista cacheada (tarjeta o detalle) quedó obsoleta
+		const communityStatus = analysis.community?.status || "none";
+		await this.analysisCache.deleteJob(job.id, (entry) => (entry.analysis.community?.status || "none") !== communityStatus);
+
+		const settings = await this.getSettings();
+		await this.analysisCache.set(this.getJobKey(job), AnalysisCache.hashJob(job), analysis, settings.cacheTtlHours * 60 * 60 * 1000);
+
+		await this.handleAnalysisComplete(analysis, tabId);
+		return analysis;
+	}
+
+	async recordCacheLookup(hit) {
+		const stats = await this.getStats();
+		if (hit) {
+			stats.cacheHits = (stats.cacheHits || 0) + 1;
+		} else {
+			stats.cacheMisses = (stats.cacheMisses || 0) + 1;
+		}
+		await this.saveStats(stats);
+
+		// Notificar al sidepanel
+		chrome.runtime
+			.sendMessage({
+				action: "statsUpdate",
+				data: { stats },
+			})
+			.catch(() => {});
+	}
+
+	async requestAnalysis(job) {
+		let response;
+		try {
+			response = await fetch(`${this.apiBase}/analyze`, {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					Authorization: `Bearer ${await this.getApiKey()}`,
+				},
+				body: JSON.stringify({
+					job,
+					timestamp: Date.now(),
+				}),
+			});
+		} catch (error) {
+			// Sin conexión o fallo de red: se puede reintentar
+			throw Object.assign(new Error(`Error de red: ${error.message}`), { retryable: true });
+		}
+
+		if (!response.ok) {
+			const retryAfter = parseInt(response.headers.get("Retry-After"));
+			const body = await response.json().catch(() => ({}));
+			const error = new Error(`API Error: ${response.status}`);
+			error.status = response.status;
+			error.code = body.code || null;
+			// Reintentar errores del servidor y rate limit temporal (no el límite diario del plan)
+			error.retryable = response.status >= 500 || (response.status === 429 && retryAfter > 0);
+			error.retryAfter = retryAfter > 0 ? retryAfter * 1000 : null;
+			throw error;
+		}
+
+		return response.json();
+	}
+
 	async handleJobDetected(jobData, tabId) {
 		// Incrementar contador de trabajos detectados
 		const stats = await this.getStats();
@@ -183,9 +404,11 @@ class ScamShieldBackground {
 		// Guardar análisis en storage local
 		await this.saveAnalysis(analysisData);
 
-		// Actualizar estadísticas
+		// Actualizar estadísticas según el perfil de sensibilidad del usuario
+		const settings = await this.getSettings();
+		const profile = getSensitivityProfile(settings.sensitivity);
 		const stats = await this.getStats();
-		if (analysisData.risk > 0.6) {
+		if (analysisData.risk > profile.scamBlocked) {
 			stats.scamsBlocked = (stats.scamsBlocked || 0) + 1;
 			stats.timeSaved = (stats.timeSaved || 0) + 5; // 5 minutos ahorrados por estafa
 		}
@@ -202,41 +425,140 @@ class ScamShieldBackground {
 			.catch(() => {});
 
 		// Si es una estafa de alto riesgo, mostrar notificación
-		if (analysisData.risk > 0.8) {
+		if (settings.notifications !== false && analysisData.risk > profile.notify) {
 			chrome.notifications.create({
 				type: "basic",
 				iconUrl: "assets/icons/icon48.png",
-				title: "🚨 ScamShield Alert",
-				message: `Estafa de alto riesgo detectada: ${analysisData.jobTitle || "Trabajo"}`,
+				title: i18n("notifyScamTitle"),
+				message: i18n("notifyScamMessage", [analysisData.jobTitle || i18n("jobFallback")]),
 			});
 		}
 	}
 
+	// Registrar un reporte (estafa o falso positivo) en el historial y pasarlo por la bandeja de salida
 	async handleScamReport(reportData) {
-		// Enviar reporte al backend
+		const { jobId, type, category, details, postingText } = reportData;
+		const entry = {
+			id: `report_${Date.now()}`,
+			jobId,
+			jobTitle: reportData.jobTitle || null,
+			company: reportData.company || null,
+			type,
+			category: type === "scam" ? category || "other" : null,
+			details: details || "",
+			withPostingText: Boolean(postingText),
+			status: "pending",
+			timestamp: Date.now(),
+		};
+		await this.saveReport(entry);
+		// El análisis cacheado no refleja el reporte: la próxima vez se consulta al backend
+		await this.analysisCache.deleteJob(jobId);
+
+		const outcome = await this.reportOutbox.add({
+			id: entry.id,
+			body: { jobId, type, category: entry.category, details: entry.details, postingText: postingText || undefined },
+			summary: { jobTitle: entry.jobTitle, company: entry.company, type, category: entry.category },
+		});
+
+		return { success: outcome.status === "sent", queued: outcome.status === "pending", report: { ...entry, status: outcome.status, code: outcome.code || null } };
+	}
+
+	async sendReport(body) {
+		let response;
 		try {
-			await fetch("https://api.scamshield.com/api/v1/report", {
+			response = await fetch(`${this.apiBase}/report`, {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
 					Authorization: `Bearer ${await this.getApiKey()}`,
 				},
-				body: JSON.stringify(reportData),
+				body: JSON.stringify(body),
 			});
+		} catch (error) {
+			// Sin conexión o fallo de red: se puede reintentar
+			throw Object.assign(new Error(`Error de red: ${error.message}`), { retryable: true, code: "offline" });
+		}
 
+		const result = await response.json().catch(() => ({}));
+		if (!response.ok) {
+			// Reintentar errores del servidor y rate limit; no los reportes inválidos (400), ya enviados (409) o de ofertas desconocidas (404)
+			const retryAfter = parseInt(response.headers.get("Retry-After"));
+			throw Object.assign(new Error(result.error || `API Error: ${response.status}`), {
+				status: response.status,
+				code: result.code || this.getUnavailableReason({ status: response.status }),
+				retryable: response.status >= 500 || response.status === 429,
+				retryAfter: retryAfter > 0 ? retryAfter * 1000 : null,
+			});
+		}
+
+		return result;
+	}
+
+	// Resultado de cada intento de la bandeja de salida: actualizar el historial y avisar al sidepanel
+	async handleReportSettled(item, outcome) {
+		await this.updateReport(item.id, { status: outcome.status, code: outcome.code || null, communityStatus: outcome.result?.communityStatus || null });
+
+		if (outcome.status === "sent") {
+			// El backend ya tiene el reporte (y puede haber cambiado el estado de la comunidad)
+			await this.analysisCache.deleteJob(item.body.jobId);
 			chrome.notifications.create({
 				type: "basic",
 				iconUrl: "assets/icons/icon48.png",
-				title: "✅ Reporte Enviado",
-				message: "Gracias por reportar esta estafa",
+				title: i18n("notifyReportTitle"),
+				message: i18n("notifyReportMessage"),
 			});
-		} catch (error) {
-			console.error("Error enviando reporte:", error);
 		}
+
+		chrome.runtime
+			.sendMessage({
+				action: "reportOutboxUpdate",
+				data: { outbox: await this.reportOutbox.list() },
+			})
+			.catch(() => {}); // El sidepanel puede estar cerrado
+	}
+
+	async saveReport(entry) {
+		const history = await this.getReportHistory();
+		return new Promise((resolve) => {
+			// Mantener solo los últimos 50 reportes
+			chrome.storage.local.set({ reportHistory: [entry, ...history].slice(0, 50) }, resolve);
+		});
+	}
+
+	async updateReport(id, changes) {
+		const history = await this.getReportHistory();
+		return new Promise((resolve) => {
+			chrome.storage.local.set({ reportHistory: history.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)) }, resolve);
+		});
+	}
+
+	async removeReport(id) {
+		const history = await this.getReportHistory();
+		return new Promise((resolve) => {
+			chrome.storage.local.set({ reportHistory: history.filter((entry) => entry.id !== id) }, resolve);
+		});
+	}
+
+	async getReportHistory() {
+		return new Promise((resolve) => {
+			chrome.storage.local.get(["reportHistory"], (result) => {
+				resolve(result.reportHistory || []);
+			});
+		});
+	}
+
+	// Reenviar un mensaje a los content scripts de todas las pestañas compatibles
+	async broadcastToSupportedTabs(message) {
+		await this.registryReady;
+		const tabs = await chrome.tabs.query({});
+		tabs.filter((tab) => this.isSupportedSite(tab.url)).forEach((tab) => {
+			chrome.tabs.sendMessage(tab.id, message).catch(() => {}); // Ignorar pestañas sin content script
+		});
 	}
 
 	async getSidePanelData(tabId) {
-		const [stats, analyses, settings] = await Promise.all([this.getStats(), this.getRecentAnalyses(), this.getSettings()]);
+		await this.registryReady;
+		const [stats, analyses, settings, outbox] = await Promise.all([this.getStats(), this.getRecentAnalyses(), this.getSettings(), this.reportOutbox.list()]);
 
 		let currentTab = null;
 		if (tabId) {
@@ -251,6 +573,7 @@ class ScamShieldBackground {
 			stats,
 			analyses,
 			settings,
+			outbox,
 			currentTab: currentTab
 				? {
 						id: currentTab.id,
@@ -271,6 +594,9 @@ class ScamShieldBackground {
 						jobsScanned: 0,
 						timeSaved: 0,
 						jobsDetected: 0,
+						cacheHits: 0,
+						cacheMisses: 0,
+						analysesUnavailable: 0,
 					}
 				);
 			});
@@ -306,6 +632,14 @@ class ScamShieldBackground {
 		});
 	}
 
+	async getStoredAnalysis(jobId) {
+		return new Promise((resolve) => {
+			chrome.storage.local.get(["analyses"], (result) => {
+				resolve((result.analyses || {})[jobId] || null);
+			});
+		});
+	}
+
 	async getRecentAnalyses() {
 		return new Promise((resolve) => {
 			chrome.storage.local.get(["analyses"], (result) => {
@@ -320,16 +654,20 @@ class ScamShieldBackground {
 	}
 
 	async getSettings() {
+		const defaults = {
+			enabled: true,
+			showBadges: true,
+			highlightPhrases: true,
+			sensitivity: "medium",
+			notifications: true,
+			disabledSites: [],
+			pausedUntil: null,
+			cacheTtlHours: 24,
+		};
+
 		return new Promise((resolve) => {
 			chrome.storage.sync.get(["settings"], (result) => {
-				resolve(
-					result.settings || {
-						enabled: true,
-						showBadges: true,
-						sensitivity: "medium",
-						notifications: true,
-					}
-				);
+				resolve({ ...defaults, ...result.settings });
 			});
 		});
 	}
@@ -348,6 +686,8 @@ class ScamShieldBackground {
 		// Configurar sidepanel por defecto
 		chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
+		this.refreshSiteAdapters();
+
 		// Mostrar página de bienvenida
 		chrome.tabs.create({
 			url: chrome.runtime.getURL("welcome.html"),
@@ -356,6 +696,7 @@ class ScamShieldBackground {
 
 	onStartup() {
 		console.log("🛡️ ScamShield iniciado");
+		this.refreshSiteAdapters();
 	}
 }
 
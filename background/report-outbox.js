@@ -0,0 +1,149 @@
+// ScamShield - Bandeja de salida persistente para reportes y feedback
+// Cada envío se guarda en storage antes de intentarlo, así sobrevive a los reinicios del service worker
+// y a los periodos sin conexión. Los errores recuperables se reintentan con backoff exponencial mediante chrome.alarms
+// (los temporizadores no sobreviven al service worker); los demás quedan como fallidos hasta un reintento manual.
+// Los fallos por falta de conexión (code "offline") no gastan intentos: se reintentan hasta que vuelva la red.
+const REPORT_OUTBOX_ALARM = "reportOutbox";
+
+class ReportOutbox {
+	constructor({ sender, onSettled = () => {}, maxAttempts = 6, baseDelay = 60 * 1000, maxDelay = 60 * 60 * 1000 }) {
+		this.sender = sender;
+		this.onSettled = onSettled;
+		this.maxAttempts = maxAttempts;
+		this.baseDelay = baseDelay;
+		this.maxDelay = maxDelay;
+		this.items = null; // Se carga desde storage la primera vez que se usa
+		this.inFlight = new Set();
+	}
+
+	async load() {
+		if (this.items) return this.items;
+
+		return new Promise((resolve) => {
+			chrome.storage.local.get(["reportOutbox"], (result) => {
+				this.items = result.reportOutbox || [];
+				resolve(this.items);
+			});
+		});
+	}
+
+	save() {
+		return new Promise((resolve) => {
+			chrome.storage.local.set({ reportOutbox: this.items }, resolve);
+		});
+	}
+
+	// Guardar un envío ({ id, body, summary }) e intentarlo enseguida
+	async add({ id, body, summary }) {
+		const items = await this.load();
+		items.push({ id, body, summary, status: "pending", attempts: 0, nextAttemptAt: Date.now(), lastError: null, createdAt: Date.now() });
+		await this.save();
+		return this.deliver(id);
+	}
+
+	// Intentar un envío; devuelve { status: "sent" | "pending" | "failed", result, code }
+	async deliver(id) {
+		const items = await this.load();
+		const item = items.find((candidate) => candidate.id === id);
+		if (!item || this.inFlight.has(id)) return null;
+
+		this.inFlight.add(id);
+		item.attempts++;
+
+		let outcome;
+		try {
+			const result = await this.sender(item.body);
+			this.items = this.items.filter((candidate) => candidate.id !== id);
+			outcome = { status: "sent", result };
+		} catch (error) {
+			if (error.code === "offline") {
+				item.attempts--;
+				item.offlineRetries = (item.offlineRetries || 0) + 1;
+				item.status = "pending";
+				item.nextAttemptAt = Date.now() + this.getDelay(item.offlineRetries);
+			} else if (error.retryable && item.attempts < this.maxAttempts) {
+				// Respetar Retry-After si el backend lo envía; si no, backoff exponencial
+				item.status = "pending";
+				item.nextAttemptAt = Date.now() + (error.retryAfter || this.getDelay(item.attempts));
+			} else {
+				item.status = "failed";
+				item.nextAttemptAt = null;
+			}
+			item.lastError = error.code || "server_error";
+			outcome = { status: item.status, code: item.lastError };
+		} finally {
+			this.inFlight.delete(id);
+		}
+
+		await this.save();
+		await this.schedule();
+		await this.onSettled(item, outcome);
+		return outcome;
+	}
+
+	// Enviar los pendientes cuyo reintento ya venció (alarma, arranque del service worker o vuelta de la conexión)
+	async flush() {
+		const items = await this.load();
+		const due = items.filter((item) => item.status === "pending" && item.nextAttemptAt <= Date.now());
+
+		// De uno en uno: si no hay conexión fallarán todos igual y no tiene sentido saturar el backend
+		for (const item of due) {
+			await this.deliver(item.id);
+		}
+		await this.schedule();
+	}
+
+	// Al volver la conexión: enviar ya todos los pendientes y recuperar los que quedaron fallidos sin conexión
+	async resume() {
+		const items = await this.load();
+		items.forEach((item) => {
+			if (item.status === "pending") {
+				Object.assign(item, { offlineRetries: 0, nextAttemptAt: Date.now() });
+			} else if (item.lastError === "offline") {
+				Object.assign(item, { status: "pending", attempts: 0, offlineRetries: 0, nextAttemptAt: Date.now() });
+			}
+		});
+		await this.save();
+		return this.flush();
+	}
+
+	// Reintento manual desde el sidepanel: reinicia los intentos, también de los fallidos
+	async retry(id) {
+		const items = await this.load();
+		const item = items.find((candidate) => candidate.id === id);
+		if (!item) return null;
+
+		Object.assign(item, { status: "pending", attempts: 0, nextAttemptAt: Date.now() });
+		await this.save();
+		return this.deliver(id);
+	}
+
+	async discard(id) {
+		const items = await this.load();
+		this.items = items.filter((item) => item.id !== id);
+		await this.save();
+		return this.schedule();
+	}
+
+	// Envíos pendientes y fallidos, sin el cuerpo (puede incluir el texto completo de la oferta)
+	async list() {
+		const items = await this.load();
+		return items.map(({ body, ...item }) => item);
+	}
+
+	// Backoff exponencial para el intento número `attempt` (desde 1), con tope
+	getDelay(attempt) {
+		return Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+	}
+
+	// Una sola alarma para el próximo reintento que venza
+	async schedule() {
+		const pending = (await this.load()).filter((item) => item.status === "pending");
+		if (pending.length === 0) {
+			return chrome.alarms.clear(REPORT_OUTBOX_ALARM);
+		}
+
+		const when = Math.min(...pending.map((item) => item.nextAttemptAt));
+		return chrome.alarms.create(REPORT_OUTBOX_ALARM, { when: Math.max(when, Date.now() + 1000) });
+	}
+}
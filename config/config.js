@@ -0,0 +1,92 @@
+// ScamShield - Configuración compartida
+// Cargada por el content script, el background y el sidepanel.
+
+// Base de la API del backend (solo el background hace peticiones)
+const API_BASE_URL = "https://api.scamshield.com/api/v1";
+
+// Perfiles de sensibilidad: umbrales de riesgo (0-1) que usan todas las partes de la extensión.
+// - mediumRisk / highRisk: nivel del badge y de las detecciones
+// - localBadge: riesgo local mínimo (exclusivo) para mostrar un badge antes del análisis IA
+// - scamBlocked: riesgo a partir del cual se cuenta como "estafa bloqueada"
+// - notify: riesgo a partir del cual se lanza una notificación
+const SENSITIVITY_PROFILES = {
+	low: { mediumRisk: 0.55, highRisk: 0.8, localBadge: 0.3, scamBlocked: 0.75, notify: 0.9 },
+	medium: { mediumRisk: 0.4, highRisk: 0.7, localBadge: 0, scamBlocked: 0.6, notify: 0.8 },
+	high: { mediumRisk: 0.25, highRisk: 0.55, localBadge: 0, scamBlocked: 0.45, notify: 0.65 },
+};
+
+function getSensitivityProfile(sensitivity) {
+	return SENSITIVITY_PROFILES[sensitivity] || SENSITIVITY_PROFILES.medium;
+}
+
+// Clasificar un riesgo en "high" | "medium" | "low" según el perfil activo
+function classifyRisk(risk, profile = SENSITIVITY_PROFILES.medium) {
+	if (risk > profile.highRisk) return "high";
+	if (risk > profile.mediumRisk) return "medium";
+	return "low";
+}
+
+// ¿Está activa la protección para este sitio? (interruptor general, toggle por sitio y pausa temporal)
+function isProtectionActive(settings, siteId, now = Date.now()) {
+	if (!settings || settings.enabled === false) return false;
+	if ((settings.disabledSites || []).includes(siteId)) return false;
+	return !(settings.pausedUntil && settings.pausedUntil > now);
+}
+
+// Nivel a mostrar para un análisis: "unknown" cuando el backend no pudo dar un resultado
+function getAnalysisLevel(analysis, profile) {
+	if (!analysis || analysis.status === "unavailable" || typeof analysis.risk !== "number") return "unknown";
+	return classifyRisk(analysis.risk, profile);
+}
+
+// Texto traducido del catálogo de _locales; si falta la clave se devuelve tal cual para detectarla en la UI
+function i18n(key, substitutions) {
+	return chrome.i18n.getMessage(key, substitutions) || key;
+}
+
+// Idioma de la interfaz del navegador para fechas y números
+function getUILocale() {
+	return chrome.i18n.getUILanguage();
+}
+
+function formatNumber(value, options) {
+	return new Intl.NumberFormat(getUILocale(), options).format(value);
+}
+
+function formatPercent(ratio) {
+	return formatNumber(ratio, { style: "percent", maximumFractionDigits: 0 });
+}
+
+function formatDateTime(timestamp, options = { dateStyle: "short", timeStyle: "short" }) {
+	return new Intl.DateTimeFormat(getUILocale(), options).format(new Date(timestamp));
+}
+
+// Traducir los atributos data-i18n (texto) y data-i18n-title / data-i18n-placeholder de una página
+function localizeDocument(root = document) {
+	document.documentElement.lang = getUILocale();
+	root.querySelectorAll("[data-i18n]").forEach((element) => (element.textContent = i18n(element.dataset.i18n)));
+	root.querySelectorAll("[data-i18n-title]").forEach((element) => (element.title = i18n(element.dataset.i18nTitle)));
+	root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => (element.placeholder = i18n(element.dataset.i18nPlaceholder)));
+}
+
+// Nombre de una regla de los paquetes de patrones en el idioma de la interfaz (con el texto del paquete como respaldo)
+function getRuleLabel(ruleId, fallback) {
+	return chrome.i18n.getMessage(`rule_${ruleId}`) || fallback || ruleId;
+}
+
+// Señal de alerta { code, params } -> texto; suspicious_pattern recibe el id de la regla
+function translateFlag(flag) {
+	const params = (flag.params || []).map(String);
+	if (flag.code === "suspicious_pattern") {
+		return i18n("flag_suspicious_pattern", [getRuleLabel(params[0])]);
+	}
+	return chrome.i18n.getMessage(`flag_${flag.code}`, params) || params.join(" ") || flag.code;
+}
+
+// Señales de un análisis en el idioma de la interfaz como { text, severity }; los análisis guardados antes de que hubiera códigos solo traen texto
+function getLocalizedFlags(analysis) {
+	if (Array.isArray(analysis.flagCodes) && analysis.flagCodes.length > 0) {
+		return analysis.flagCodes.map((flag) => ({ text: translateFlag(flag), severity: flag.severity || "normal" }));
+	}
+	return (analysis.flags || []).map((text) => ({ text, severity: "normal" }));
+}
@@ -0,0 +1,201 @@
+// ScamShield - Paquetes de patrones de estafa por idioma
+// Compartido por el content script (script clásico: expone las funciones como globales) y el backend (require).
+// Cada paquete tiene sus reglas, palabras de urgencia y heurísticas de gramática; para añadir un idioma
+// basta con un paquete nuevo con la misma forma (las palabras vacías de pt/fr ya permiten detectarlos).
+(function (root, factory) {
+	const api = factory();
+	if (typeof module === "object" && module.exports) {
+		module.exports = api;
+	} else {
+		Object.assign(root, api);
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Palabras vacías frecuentes para la detección de idioma (sin red ni modelos)
+	const LANGUAGE_STOPWORDS = {
+		en: ["the", "and", "you", "your", "with", "for", "are", "will", "this", "that", "our", "from", "have", "work", "job", "experience", "to", "of", "is", "we"],
+		es: ["el", "la", "los", "las", "de", "que", "y", "en", "con", "para", "por", "una", "un", "del", "tu", "su", "es", "se", "trabajo", "experiencia"],
+		pt: ["o", "os", "as", "de", "que", "e", "em", "com", "para", "por", "uma", "um", "do", "da", "você", "não", "são", "trabalho", "experiência", "vaga"],
+		fr: ["le", "la", "les", "de", "des", "et", "en", "avec", "pour", "par", "une", "un", "du", "vous", "votre", "est", "nous", "travail", "expérience", "poste"],
+	};
+
+	const PATTERN_PACKS = {
+		en: {
+			rules: [
+				{
+					id: "weekly_pay_wfh",
+					pattern: /work from home.*\$\d{3,4}.*week/i,
+					highlights: [/\$\d{3,4}\s*(?:per|a|\/)\s*week/gi],
+					label: "Pago semanal alto desde casa",
+					why: "Prometer cientos de dólares por semana sin requisitos es el gancho típico de las estafas de trabajo remoto.",
+				},
+				{
+					id: "no_experience_high_pay",
+					pattern: /no experience.*high pay/i,
+					highlights: [/no experience(?: required| needed)?/gi, /high pay/gi],
+					label: "Sin experiencia y pago alto",
+					why: "Un salario alto sin experiencia previa es poco realista y se usa para atraer víctimas.",
+				},
+				{
+					id: "urgent_start",
+					pattern: /urgent.*immediate start/i,
+					highlights: [/urgent(?:ly)?/gi, /immediate start/gi],
+					label: "Urgencia artificial",
+					why: "La presión para empezar ya busca que no investigues a la empresa antes de aceptar.",
+				},
+				{
+					id: "training_fee",
+					pattern: /pay.*training fee/i,
+					highlights: [/training fees?/gi],
+					label: "Pago por formación",
+					why: "Una empresa legítima nunca cobra al candidato por formación o materiales.",
+				},
+				{
+					id: "money_transfer",
+					pattern: /western union.*money transfer/i,
+					highlights: [/western union/gi, /money transfers?/gi],
+					label: "Transferencias de dinero",
+					why: "Mover dinero a través de tu cuenta o de Western Union suele ser lavado de dinero.",
+				},
+				{
+					id: "package_forwarding",
+					pattern: /package forwarding/i,
+					highlights: [/package forwarding/gi],
+					label: "Reenvío de paquetes",
+					why: "Reenviar paquetes desde casa es una estafa conocida con mercancía robada (reshipping).",
+				},
+				{
+					id: "mystery_shopper",
+					pattern: /mystery shopper/i,
+					highlights: [/mystery shopper/gi],
+					label: "Mystery shopper",
+					why: "Las ofertas de mystery shopper suelen terminar en estafas de cheques falsos.",
+				},
+				{
+					id: "envelope_stuffing",
+					pattern: /envelope stuffing/i,
+					highlights: [/envelope stuffing/gi],
+					label: "Ensobrado de cartas",
+					why: "El ensobrado desde casa es una estafa clásica: se cobra un kit y el trabajo nunca se paga.",
+				},
+				{
+					id: "data_entry_hourly",
+					pattern: /data entry.*\$\d+.*hour/i,
+					highlights: [/data entry/gi, /\$\d+\s*(?:per|an|a|\/)\s*hour/gi],
+					label: "Data entry muy bien pagado",
+					why: "El data entry con tarifas por hora altas es uno de los ganchos más usados en estafas de empleo.",
+				},
+				{
+					id: "guaranteed_earnings",
+					pattern: /earn.*\$\d+.*day.*guaranteed/i,
+					highlights: [/guaranteed/gi, /\$\d+\s*(?:per|a|\/)\s*day/gi],
+					label: "Ganancias diarias garantizadas",
+					why: "Ningún empleo legítimo garantiza ingresos diarios fijos antes de empezar.",
+				},
+			],
+			urgency: /urgent|immediate|asap|today only|limited time/gi,
+			grammar: [
+				/\b(recieve|recive)\b/gi, // receive mal escrito
+				/\b(seperate)\b/gi, // separate mal escrito
+				/\b(loose)\b/gi, // lose/loose confusion
+				/\b(your)\s+(hired|selected)\b/gi, // you're vs your
+				/\b(its)\s+(a)\s+(great)\b/gi, // it's vs its
+			],
+		},
+		es: {
+			rules: [
+				{
+					id: "weekly_pay_wfh",
+					pattern: /(?:trabaj[oa]r?|empleo) desde (?:casa|tu hogar).*[$€]\s?\d{3,4}.*semana/i,
+					highlights: [/[$€]\s?\d{3,4}(?:\s*(?:€|euros|d[oó]lares))?\s*(?:por|a la|\/)\s*semana/gi, /desde (?:casa|tu hogar)/gi],
+					label: "Pago semanal alto desde casa",
+					why: "Prometer cientos de euros o dólares por semana sin requisitos es el gancho típico de las estafas de trabajo remoto.",
+				},
+				{
+					id: "no_experience_high_pay",
+					pattern: /sin experiencia.*(?:alt[oa]s? (?:sueldo|salario|ingresos|remuneraci[oó]n)|gana hasta)/i,
+					highlights: [/sin experiencia(?: previa)?/gi, /alt[oa]s? (?:sueldo|salario|ingresos|remuneraci[oó]n)/gi, /gana hasta/gi],
+					label: "Sin experiencia y pago alto",
+					why: "Un salario alto sin experiencia previa es poco realista y se usa para atraer víctimas.",
+				},
+				{
+					id: "urgent_start",
+					pattern: /urgente.*incorporaci[oó]n inmediata/i,
+					highlights: [/urgente(?:mente)?/gi, /incorporaci[oó]n inmediata/gi],
+					label: "Urgencia artificial",
+					why: "La presión para empezar ya busca que no investigues a la empresa antes de aceptar.",
+				},
+				{
+					id: "training_fee",
+					pattern: /(?:pagar|abonar|coste|costo|cuota|inversi[oó]n).{0,40}(?:formaci[oó]n|curso|capacitaci[oó]n|material|kit)/i,
+					highlights: [/(?:pagar|abonar|coste|costo|cuota|inversi[oó]n)[^.]{0,40}(?:formaci[oó]n|curso|capacitaci[oó]n|material|kit)/gi],
+					label: "Pago por formación",
+					why: "Una empresa legítima nunca cobra al candidato por formación o materiales.",
+				},
+				{
+					id: "money_transfer",
+					pattern: /western union|transferencias? de dinero|recibir (?:pagos|dinero|transferencias) en tu cuenta/i,
+					highlights: [/western union/gi, /transferencias? de dinero/gi, /recibir (?:pagos|dinero|transferencias) en tu cuenta/gi],
+					label: "Transferencias de dinero",
+					why: "Mover dinero a través de tu cuenta o de Western Union suele ser lavado de dinero.",
+				},
+				{
+					id: "package_forwarding",
+					pattern: /reenv[ií]o de paquetes|recibir y reenviar paquetes/i,
+					highlights: [/reenv[ií]o de paquetes/gi, /recibir y reenviar paquetes/gi],
+					label: "Reenvío de paquetes",
+					why: "Reenviar paquetes desde casa es una estafa conocida con mercancía robada (reshipping).",
+				},
+				{
+					id: "mystery_shopper",
+					pattern: /cliente misterioso|mystery shopper/i,
+					highlights: [/cliente misterioso/gi, /mystery shopper/gi],
+					label: "Cliente misterioso",
+					why: "Las ofertas de cliente misterioso suelen terminar en estafas de cheques falsos.",
+				},
+				{
+					id: "envelope_stuffing",
+					pattern: /ensobra(?:r|do)/i,
+					highlights: [/ensobra(?:r|do)(?: de cartas)?/gi],
+					label: "Ensobrado de cartas",
+					why: "El ensobrado desde casa es una estafa clásica: se cobra un kit y el trabajo nunca se paga.",
+				},
+				{
+					id: "guaranteed_earnings",
+					pattern: /gana(?:r|s)?.*[$€]\s?\d+.*(?:al|por) d[ií]a.*garantizad/i,
+					highlights: [/garantizad[oa]s?/gi, /[$€]\s?\d+\s*(?:€|euros)?\s*(?:al|por) d[ií]a/gi],
+					label: "Ganancias diarias garantizadas",
+					why: "Ningún empleo legítimo garantiza ingresos diarios fijos antes de empezar.",
+				},
+			],
+			urgency: /urgente|inmediat[oa]|cuanto antes|solo hoy|plazas limitadas|tiempo limitado|no lo dejes pasar/gi,
+			grammar: [
+				/\bhaber si\b/gi, // "a ver si"
+				/\bhech(?:ar|amos|e)\b/gi, // "echar" sin h
+				/\b(?:a|as)\s+sido\b/gi, // "ha sido"
+				/\bnesesit/gi, // "necesit-"
+				/\bhalla\s+(?:sido|hecho|que)\b/gi, // "haya"
+			],
+		},
+	};
+
+	// Idioma más probable ("en", "es", "pt", "fr") o "unknown" si el texto es corto o ambiguo
+	function detectLanguage(text) {
+		const words = (text || "").toLowerCase().match(/\p{L}+/gu) || [];
+		if (words.length < 8) return "unknown";
+
+		const scores = Object.entries(LANGUAGE_STOPWORDS).map(([language, stopwords]) => [language, words.filter((word) => stopwords.includes(word)).length]);
+		scores.sort((a, b) => b[1] - a[1]);
+
+		const [best, second] = scores;
+		// Exigir un mínimo de coincidencias y una ventaja clara sobre el segundo
+		if (best[1] < 3 || best[1] < second[1] * 1.3) return "unknown";
+		return best[0];
+	}
+
+	// Paquetes a aplicar: el del idioma detectado o, si no hay o es desconocido, todos
+	function getPatternPacks(language) {
+		return PATTERN_PACKS[language] ? [PATTERN_PACKS[language]] : Object.values(PATTERN_PACKS);
+	}
+
+	return { PATTERN_PACKS, detectLanguage, getPatternPacks };
+});
@@ -0,0 +1,123 @@
+// ScamShield - Parser de salarios compartido
+// Lo cargan el content script (script clásico: expone parseSalary como global) y el backend (require).
+// Convierte textos como "$45k–$60k a year", "$1,200/week" o "18,50 € la hora" a un importe anual comparable.
+(function (root, factory) {
+	const api = factory();
+	if (typeof module === "object" && module.exports) {
+		module.exports = api;
+	} else {
+		Object.assign(root, api);
+	}
+})(typeof self !== "undefined" ? self : this, function () {
+	// Horas/días/semanas/meses de trabajo por año para anualizar
+	const PERIODS_PER_YEAR = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+	const PERIOD_PATTERNS = [
+		{ period: "hour", pattern: /\/\s*(?:h|hr|hour)\b|\b(?:per|an|a)\s+hour\b|\bhourly\b|\bpor\s+hora\b|\/hora\b|\bla\s+hora\b/i },
+		{ period: "day", pattern: /\/\s*(?:d|day)\b|\b(?:per|a)\s+day\b|\bdaily\b|\bpor\s+d[ií]a\b|\bal\s+d[ií]a\b|\bdiarios?\b/i },
+		{ period: "week", pattern: /\/\s*(?:wk|week)\b|\b(?:per|a)\s+week\b|\bweekly\b|\bpor\s+semana\b|\ba\s+la\s+semana\b|\bsemanal(?:es)?\b/i },
+		{ period: "month", pattern: /\/\s*(?:mo|mth|month)\b|\b(?:per|a)\s+month\b|\bmonthly\b|\bpor\s+mes\b|\bal\s+mes\b|\bmensual(?:es)?\b/i },
+		{ period: "year", pattern: /\/\s*(?:yr|year|a[nñ]o)\b|\b(?:per|a)\s+(?:year|annum)\b|\b(?:yearly|annually|annual|p\.?a\.?)\b|\bpor\s+a[nñ]o\b|\bal\s+a[nñ]o\b|\banual(?:es)?\b|\bbrutos?\s+anuales\b/i },
+	];
+
+	// Símbolos y códigos; CA$ va antes que A$. Un "$" suelto no identifica moneda (ver DOLLAR_CURRENCIES)
+	const CURRENCY_PATTERNS = [
+		{ currency: "CAD", pattern: /CA?\$|\bCAD\b/ },
+		{ currency: "AUD", pattern: /A\$|\bAUD\b/ },
+		{ currency: "MXN", pattern: /MX\$|\bMXN\b/ },
+		{ currency: "USD", pattern: /US\$|\bUSD\b/ },
+		{ currency: "EUR", pattern: /€|\bEUR\b|\beuros?\b/i },
+		{ currency: "GBP", pattern: /£|\bGBP\b/ },
+		{ currency: "INR", pattern: /₹|\bINR\b|\bRs\.?\s/ },
+		{ currency: "JPY", pattern: /¥|\bJPY\b/ },
+		{ currency: "CHF", pattern: /\bCHF\b/ },
+	];
+
+	// Monedas que se escriben con "$" a secas en su país; la ubicación de la oferta decide cuál es
+	const DOLLAR_CURRENCIES = ["USD", "CAD", "AUD", "MXN"];
+
+	// Importe: "45", "45k", "1,200", "1.200", "45 000", "18,50", "1.5M", "1,50,000" (lakh)
+	const AMOUNT = String.raw`(\d{1,2}(?:,\d{2})+,\d{3}|\d{1,3}(?:[,.\u00a0\u202f ]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)\s*([kKmM])?\b`;
+	const RANGE_PATTERN = new RegExp(`${AMOUNT}(?:\\s*(?:-|–|—|to|a|hasta|y)\\s*[^\\d\\s]{0,4}\\s*${AMOUNT})?`, "g");
+
+	// "1,200" -> 1200, "18,50" -> 18.5, "45.000" -> 45000
+	function parseAmount(raw, suffix) {
+		const compact = raw.replace(/[\u00a0\u202f ]/g, "");
+		const decimal = compact.match(/[.,](\d{1,2})$/);
+		const integerPart = decimal ? compact.slice(0, -decimal[0].length) : compact;
+		let value = parseFloat(`${integerPart.replace(/[.,]/g, "")}${decimal ? `.${decimal[1]}` : ""}`);
+
+		if (suffix && suffix.toLowerCase() === "k") value *= 1000;
+		if (suffix && suffix.toLowerCase() === "m") value *= 1000000;
+		return value;
+	}
+
+	// Sin periodo explícito se deduce por magnitud (con menos confianza)
+	function inferPeriod(amount) {
+		if (amount < 300) return "hour";
+		if (amount < 1500) return "week";
+		if (amount < 15000) return "month";
+		return "year";
+	}
+
+	function detectCurrency(text) {
+		const match = CURRENCY_PATTERNS.find(({ pattern }) => pattern.test(text));
+		return match ? match.currency : null;
+	}
+
+	function detectPeriod(text) {
+		const match = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(text));
+		return match ? match.period : null;
+	}
+
+	/**
+	 * Interpretar un texto de salario.
+	 * Devuelve null si no hay importes; si no, { min, max, currency, currencySymbol, period, periodInferred, annualMin, annualMax, confidence }.
+	 * Con un "$" suelto currency es null y currencySymbol es "$": puede ser cualquiera de DOLLAR_CURRENCIES.
+	 */
+	function parseSalary(text) {
+		if (!text || typeof text !== "string") return null;
+
+		// "401(k)" y similares no son importes
+		const cleaned = text.replace(/\b401\s*\(?k\)?/gi, " ");
+
+		const ranges = [...cleaned.matchAll(RANGE_PATTERN)]
+			.map((match) => {
+				// "45-60k": el sufijo del segundo importe se aplica también al primero
+				const secondSuffix = match[4];
+				const first = parseAmount(match[1], match[2] || (match[3] && !match[2] ? secondSuffix : undefined));
+				const second = match[3] ? parseAmount(match[3], secondSuffix) : null;
+				const before = cleaned.slice(Math.max(0, match.index - 4), match.index);
+				return { min: second === null ? first : Math.min(first, second), max: second === null ? first : Math.max(first, second), hasCurrency: /[$€£¥₹]|[A-Z]{3}\s*$/.test(before) || Boolean(detectCurrency(match[0])) };
+			})
+			.filter((range) => range.max > 0);
+
+		if (ranges.length === 0) return null;
+
+		// Preferir el primer importe junto a un símbolo de moneda (evita "3 años de experiencia", "40 horas")
+		const range = ranges.find((candidate) => candidate.hasCurrency) || ranges[0];
+		const currency = detectCurrency(cleaned);
+		const currencySymbol = !currency && /\$/.test(cleaned) ? "$" : null;
+		const explicitPeriod = detectPeriod(cleaned);
+		const period = explicitPeriod || inferPeriod(range.max);
+
+		// Un importe de cinco cifras sin periodo casi siempre es anual
+		let confidence = explicitPeriod ? 0.9 : period === "year" ? 0.7 : 0.5;
+		if (!currency && !currencySymbol) confidence -= 0.1;
+		if (!range.hasCurrency && ranges.length > 1) confidence -= 0.1;
+
+		return {
+			min: range.min,
+			max: range.max,
+			currency,
+			currencySymbol,
+			period,
+			periodInferred: !explicitPeriod,
+			annualMin: Math.round(range.min * PERIODS_PER_YEAR[period]),
+			annualMax: Math.round(range.max * PERIODS_PER_YEAR[period]),
+			confidence: Math.round(confidence * 100) / 100,
+		};
+	}
+
+	return { parseSalary, SALARY_PERIODS_PER_YEAR: PERIODS_PER_YEAR, SALARY_DOLLAR_CURRENCIES: DOLLAR_CURRENCIES };
+});
@@ -0,0 +1,78 @@
+// ScamShield - Registro de adaptadores de sitios
+// Compartido por el content script, el background y el sidepanel.
+// El paquete incluido (site-adapters.json) puede ser reemplazado por uno más nuevo
+// guardado en chrome.storage.local, sin cambiar código.
+class SiteAdapterRegistry {
+	constructor() {
+		this.version = 0;
+		this.adapters = [];
+		this.fallback = null;
+	}
+
+	async load() {
+		const [stored, bundled] = await Promise.all([this.getStoredPack(), this.getBundledPack()]);
+
+		// Usar siempre el paquete con la versión más alta
+		const pack = stored && (!bundled || stored.version > bundled.version) ? stored : bundled;
+		this.apply(pack);
+		return this;
+	}
+
+	apply(pack) {
+		if (!pack) return;
+		this.version = pack.version || 0;
+		this.adapters = pack.adapters || [];
+		this.fallback = pack.fallback || null;
+	}
+
+	async getStoredPack() {
+		return new Promise((resolve) => {
+			chrome.storage.local.get(["siteAdapters"], (result) => {
+				resolve(result.siteAdapters || null);
+			});
+		});
+	}
+
+	async getBundledPack() {
+		try {
+			const response = await fetch(chrome.runtime.getURL("config/site-adapters.json"));
+			return await response.json();
+		} catch (error) {
+			console.warn("No se pudo cargar el paquete de adaptadores:", error);
+			return null;
+		}
+	}
+
+	// Guardar un paquete actualizado si es más nuevo que el actual
+	async saveIfNewer(pack) {
+		if (!pack || !Array.isArray(pack.adapters) || !(pack.version > this.version)) return false;
+
+		this.apply(pack);
+		await new Promise((resolve) => chrome.storage.local.set({ siteAdapters: pack }, resolve));
+		return true;
+	}
+
+	findByUrl(url) {
+		if (!url) return null;
+
+		let hostname;
+		try {
+			hostname = new URL(url).hostname.toLowerCase();
+		} catch (error) {
+			return null;
+		}
+
+		return this.adapters.find((adapter) => adapter.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))) || null;
+	}
+
+	isSupported(url) {
+		return this.findByUrl(url) !== null;
+	}
+
+	getSiteInfo(url) {
+		if (!url) return { name: "Unknown page", icon: "🌐" };
+
+		const adapter = this.findByUrl(url) || this.fallback;
+		return adapter ? { name: adapter.name, icon: adapter.icon } : { name: "Web page", icon: "🌐" };
+	}
+}
@@ -1,22 +1,44 @@
 // ScamShield Content Script - Detector principal
 class ScamShieldDetector {
 	constructor() {
-		this.isActive = true;
+		this.isActive = false;
+		this.resumeTimer = null;
 		this.scannedJobs = new Set();
+		this.jobCards = new Map();
+		this.lastDetailSignature = null;
+		this.detailScanTimer = null;
 		this.observer = null;
-		this.apiBase = "https://api.scamshield.com/v1";
-		this.currentSite = this.detectSite();
+		this.siteRegistry = new SiteAdapterRegistry();
+		this.adapter = null;
+		this.currentSite = "unknown";
+		this.settings = {};
+		this.profile = getSensitivityProfile("medium");
+
+		// Correo gratuito y apps de mensajería como canal de contacto
+		this.freeMailDomains = ["gmail.com", "googlemail.com", "yahoo.com", "hotmail.com", "outlook.com", "live.com", "aol.com", "icloud.com", "protonmail.com", "proton.me", "gmx.com", "mail.com", "yandex.com"];
+		this.messagingPatterns = [
+			{ app: "telegram", pattern: /t\.me\/|\btelegram\b/i },
+			{ app: "whatsapp", pattern: /wa\.me\/|\bwhats\s?app\b/i },
+			{ app: "signal", pattern: /signal\.me\/|\bsignal\s+(?:app|messenger)\b|\bon\s+signal\b/i },
+			{ app: "wechat", pattern: /\bwechat\b/i },
+		];
 
 		this.init();
 	}
 
-	init() {
-		console.log("🛡️ ScamShield activado en:", this.currentSite);
-		this.loadSettings();
-		this.setupObserver();
-		this.scanExistingJobs();
+	async init() {
+		await this.siteRegistry.load();
+		this.adapter = this.siteRegistry.findByUrl(window.location.href) || this.siteRegistry.fallback;
+		if (!this.adapter) {
+			console.warn("ScamShield: no hay adaptador disponible para", window.location.hostname);
+			return;
+		}
+		this.currentSite = this.adapter.id;
+
+		await this.loadSettings();
 		this.injectStyles();
 		this.setupMessageListener(); // Agregar esto
+		this.updateProtectionState();
 
 		// Notificar al background que se activó en esta página
 		chrome.runtime.sendMessage({
@@ -25,13 +47,47 @@ class ScamShieldDetector {
 		});
 	}
 
-	detectSite() {
-		const hostname = window.location.hostname.toLowerCase();
-		if (hostname.includes("linkedin")) return "linkedin";
-		if (hostname.includes("indeed")) return "indeed";
-		if (hostname.includes("glassdoor")) return "glassdoor";
-		if (hostname.includes("ziprecruiter")) return "ziprecruiter";
-		return "unknown";
+	// Arrancar o detener el escaneo según el interruptor general, el del sitio y la pausa
+	updateProtectionState() {
+		const shouldBeActive = isProtectionActive(this.settings, this.currentSite);
+
+		if (shouldBeActive && !this.isActive) {
+			this.start();
+		} else if (!shouldBeActive && this.isActive) {
+			this.stop();
+		}
+
+		// Programar la reanudación automática al terminar la pausa
+		clearTimeout(this.resumeTimer);
+		if (!shouldBeActive && this.settings.pausedUntil > Date.now()) {
+			this.resumeTimer = setTimeout(() => this.updateProtectionState(), this.settings.pausedUntil - Date.now() + 1000);
+		}
+	}
+
+	start() {
+		this.isActive = true;
+		console.log("🛡️ ScamShield activado en:", this.currentSite, `(adaptadores v${this.siteRegistry.version})`);
+		this.setupObserver();
+		this.scanExistingJobs();
+		this.scanJobDetail();
+	}
+
+	stop() {
+		this.isActive = false;
+		console.log("⏸️ ScamShield en pausa en:", this.currentSite);
+
+		if (this.observer) {
+			this.observer.disconnect();
+			this.observer = null;
+		}
+		clearTimeout(this.detailScanTimer);
+
+		// Quitar badges y resaltados, y olvidar lo escaneado para re-escanear limpio al reanudar
+		document.querySelectorAll(".scam-shield-badge").forEach((badge) => badge.remove());
+		this.removeHighlights();
+		this.scannedJobs.clear();
+		this.jobCards.clear();
+		this.lastDetailSignature = null;
 	}
 
 	// Configurar observer para detectar nuevos jobs que se cargan dinámicamente
@@ -41,17 +97,32 @@ class ScamShieldDetector {
 			mutations.forEach((mutation) => {
 				if (mutation.type === "childList") {
 					mutation.addedNodes.forEach((node) => {
-						if (node.nodeType === Node.ELEMENT_NODE) {
-							this.scanJobElement(node);
+						if (node.nodeType === Node.ELEMENT_NODE && !this.isOwnNode(node)) {
+							this.scanAddedNode(node);
 						}
 					});
 				}
 			});
+
+			// El panel de detalle se re-renderiza al abrir otra oferta
+			this.scheduleDetailScan();
 		});
 
 		this.observer.observe(document.body, config);
 	}
 
+	// Escanear solo las tarjetas dentro del nodo añadido (no badges, resaltados u otros nodos)
+	scanAddedNode(node) {
+		const selector = this.getJobSelectors().join(", ");
+		const cards = node.matches(selector) ? [node] : node.querySelectorAll(selector);
+		cards.forEach((card) => this.scanJobElement(card));
+	}
+
+	// Nodos insertados por ScamShield: no deben disparar escaneos
+	isOwnNode(node) {
+		return node.classList.contains("scam-shield-badge") || node.classList.contains("scam-shield-highlight");
+	}
+
 	// Escanear trabajos existentes al cargar la página
 	scanExistingJobs() {
 		const jobSelectors = this.getJobSelectors();
@@ -60,20 +131,15 @@ class ScamShieldDetector {
 		jobs.forEach((job) => this.scanJobElement(job));
 	}
 
-	// Obtener selectores CSS específicos por sitio
+	// Selectores de tarjetas según el adaptador del sitio
 	getJobSelectors() {
-		const selectors = {
-			linkedin: [".job-card-container", ".jobs-search__job-card", ".job-card-list__entity-lockup"],
-			indeed: [".jobsearch-SerpJobCard", ".slider_container .slider_item", "[data-jk]"],
-			glassdoor: [".react-job-listing", ".jobListing", '[data-test="job-listing"]'],
-			ziprecruiter: [".job_content", ".jobList-container article", "[data-job-id]"],
-		};
-
-		return selectors[this.currentSite] || [".job", ".listing", ".card"];
+		return this.adapter.cardSelectors;
 	}
 
 	// Escanear un elemento específico de trabajo
 	async scanJobElement(element) {
+		if (!this.isActive) return;
+
 		try {
 			const jobData = this.extractJobData(element);
 			if (!jobData || this.scannedJobs.has(jobData.id)) return;
@@ -82,158 +148,403 @@ class ScamShieldDetector {
 
 			// Análisis local primero (rápido)
 			const localRisk = this.performLocalAnalysis(jobData);
+			this.jobCards.set(jobData.id, { element, jobData, matchedRules: localRisk.matchedRules });
+			this.highlightPhrases(element, localRisk.matchedRules);
 
-			if (localRisk.risk > 0) {
+			if (localRisk.risk > this.profile.localBadge) {
 				this.showWarningBadge(element, localRisk);
 			}
 
 			// Análisis con IA (más lento pero más preciso)
-			const aiAnalysis = await this.performAIAnalysis(jobData);
-			this.updateJobRiskDisplay(element, aiAnalysis);
+			const aiAnalysis = await this.performAIAnalysis(jobData, localRisk);
+			if (!this.isActive) return; // Pausado mientras se esperaba la respuesta
+			this.updateJobRiskDisplay(element, aiAnalysis, localRisk);
 		} catch (error) {
 			console.error("Error escaneando trabajo:", error);
 		}
 	}
 
-	// Extraer datos del trabajo según el sitio
+	// Extraer datos del trabajo usando los selectores declarados en el adaptador
 	extractJobData(element) {
-		const extractors = {
-			linkedin: this.extractLinkedInJobData,
-			indeed: this.extractIndeedJobData,
-			glassdoor: this.extractGlassdoorJobData,
-			ziprecruiter: this.extractZipRecruiterJobData,
+		const { fields, idRules, urlRule } = this.adapter;
+		const url = this.getLinkHref(element, urlRule.selector);
+
+		return {
+			id: this.resolveJobId(element, url, idRules),
+			title: this.getTextContent(element, fields.title),
+			company: this.getTextContent(element, fields.company),
+			location: this.getTextContent(element, fields.location),
+			description: this.getTextContent(element, fields.description),
+			salary: this.getTextContent(element, fields.salary),
+			url,
+			postedTime: this.getTextContent(element, fields.postedTime),
+			site: this.currentSite,
 		};
+	}
+
+	// Aplicar las reglas de ID del adaptador en orden; la primera que encuentre valor gana
+	resolveJobId(element, url, rules) {
+		for (const rule of rules) {
+			let value = "";
+
+			if (rule.dataset) {
+				value = element.dataset[rule.dataset] || "";
+			} else if (rule.attribute) {
+				const match = (element.getAttribute(rule.attribute) || "").match(new RegExp(rule.pattern || "(.+)"));
+				value = match ? match[1] : "";
+			} else if (rule.urlParam) {
+				value = this.getUrlParam(url, rule.urlParam);
+			} else if (rule.pathPattern) {
+				const match = window.location.pathname.match(new RegExp(rule.pathPattern));
+				value = match ? match[1] : "";
+			}
 
-		const extractor = extractors[this.currentSite] || this.extractGenericJobData;
-		return extractor.call(this, element);
+			if (value) return value;
+		}
+
+		return this.generateJobId(element);
 	}
 
-	extractLinkedInJobData(element) {
-		return {
-			id: element.dataset.jobId || this.generateJobId(element),
-			title: this.getTextContent(element, ".job-card-list__title, .t-16"),
-			company: this.getTextContent(element, ".job-card-container__company-name, .t-14"),
-			location: this.getTextContent(element, ".job-card-container__metadata-item, .tvm__text"),
-			description: this.getTextContent(element, ".job-card-list__job-description"),
-			salary: this.getTextContent(element, ".job-card-container__salary-info"),
-			url: this.getLinkHref(element, "a"),
-			postedTime: this.getTextContent(element, ".job-card-container__listed-time"),
-			site: "linkedin",
-		};
+	// Agrupar mutaciones: el panel de detalle cambia en varias pasadas al cargarse
+	scheduleDetailScan() {
+		clearTimeout(this.detailScanTimer);
+		this.detailScanTimer = setTimeout(() => this.scanJobDetail(), 500);
 	}
 
-	extractIndeedJobData(element) {
-		return {
-			id: element.dataset.jk || this.generateJobId(element),
-			title: this.getTextContent(element, '[data-testid="job-title"], .jobTitle'),
-			company: this.getTextContent(element, '[data-testid="company-name"], .companyName'),
-			location: this.getTextContent(element, '[data-testid="job-location"], .companyLocation'),
-			description: this.getTextContent(element, ".job-snippet"),
-			salary: this.getTextContent(element, ".salary-snippet"),
-			url: this.getLinkHref(element, '[data-testid="job-title"] a, .jobTitle a'),
-			postedTime: this.getTextContent(element, ".date"),
-			site: "indeed",
-		};
+	// Escanear la oferta abierta en el panel o página de detalle
+	async scanJobDetail() {
+		const detail = this.adapter.detail;
+		if (!detail || !this.isActive) return;
+
+		const container = document.querySelector(detail.containerSelectors.join(", "));
+		if (!container) return;
+
+		try {
+			const detailData = this.extractJobDetail(container);
+			if (!detailData.description) return;
+
+			// Evitar re-analizar el mismo detalle en cada mutación
+			const signature = `${detailData.id}:${detailData.description.length}`;
+			if (this.lastDetailSignature === signature) return;
+			this.lastDetailSignature = signature;
+
+			// Combinar con los datos de la tarjeta, si la oferta se vio en la lista
+			const card = this.jobCards.get(detailData.id);
+			const jobData = this.mergeJobDetail(card, detailData);
+			const element = card ? card.element : container;
+			this.scannedJobs.add(jobData.id);
+
+			const localRisk = this.performLocalAnalysis(jobData);
+			this.highlightPhrases(container, localRisk.matchedRules);
+			if (card) {
+				card.matchedRules = localRisk.matchedRules;
+				this.highlightPhrases(card.element, localRisk.matchedRules);
+			}
+
+			const existingBadge = element.querySelector(".scam-shield-badge");
+			if (existingBadge) {
+				this.updateBadgeWithAI(existingBadge, { status: "local", ...localRisk });
+			} else if (localRisk.risk > this.profile.localBadge) {
+				this.showWarningBadge(element, localRisk);
+			}
+
+			const aiAnalysis = await this.performAIAnalysis(jobData, localRisk);
+			if (!this.isActive) return;
+			this.updateJobRiskDisplay(element, aiAnalysis, localRisk);
+		} catch (error) {
+			console.error("Error escaneando detalle del trabajo:", error);
+		}
+	}
+
+	// Oferta abierta en el detalle, para prellenar el reporte del sidepanel (aunque la protección esté pausada)
+	getCurrentJob() {
+		const detail = this.adapter.detail;
+		const container = detail ? document.querySelector(detail.containerSelectors.join(", ")) : null;
+		if (!container) return null;
+
+		const detailData = this.extractJobDetail(container);
+		if (!detailData.title && !detailData.description) return null;
+
+		return this.mergeJobDetail(this.jobCards.get(detailData.id), detailData);
 	}
 
-	extractGenericJobData(element) {
+	// Datos de la tarjeta completados con los del detalle; los campos de texto nunca quedan sin definir
+	// aunque falten en ambos (el análisis local trabaja con cadenas)
+	mergeJobDetail(card, detailData) {
+		const emptyFields = { title: "", company: "", location: "", description: "", salary: "" };
+		return { ...emptyFields, ...(card ? card.jobData : {}), ...this.withoutEmptyFields(detailData), detailed: true };
+	}
+
+	extractJobDetail(container) {
+		const { fields, idRules, apply } = this.adapter.detail;
+		const url = window.location.href;
+		const description = this.getTextContent(container, fields.description);
+
 		return {
-			id: this.generateJobId(element),
-			title: this.getTextContent(element, "h1, h2, h3, .title, .job-title"),
-			company: this.getTextContent(element, ".company, .employer, .company-name"),
-			location: this.getTextContent(element, ".location, .place, .address"),
-			description: this.getTextContent(element, ".description, .summary, .content"),
-			salary: this.getTextContent(element, ".salary, .pay, .wage"),
-			url: this.getLinkHref(element, "a"),
-			postedTime: this.getTextContent(element, ".date, .time, .posted"),
+			id: this.resolveJobId(container, url, idRules),
+			title: this.getTextContent(container, fields.title),
+			company: this.getTextContent(container, fields.company),
+			location: this.getTextContent(container, fields.location),
+			description,
+			salary: this.getTextContent(container, fields.salary),
+			benefits: this.getTextList(container, fields.benefits),
+			employmentType: this.getTextContent(container, fields.employmentType),
+			applicantCount: this.parseApplicantCount(this.getTextContent(container, fields.applicantCount)),
+			applyMethod: this.detectApplyMethod(container, apply, description),
+			url,
 			site: this.currentSite,
 		};
 	}
 
+	// Botón de aplicación: en el sitio (easy apply), enlace externo o por email en la descripción
+	detectApplyMethod(container, apply, description) {
+		if (apply.easy && container.querySelector(apply.easy)) {
+			return { type: "easy_apply", url: "" };
+		}
+
+		const external = apply.external ? container.querySelector(apply.external) : null;
+		if (external) {
+			return { type: "external", url: external.href || "" };
+		}
+
+		const email = description.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+		if (email) {
+			return { type: "email", url: `mailto:${email[0]}` };
+		}
+
+		return { type: "unknown", url: "" };
+	}
+
+	// "Over 200 applicants", "47 solicitudes" -> número
+	parseApplicantCount(text) {
+		const match = text.replace(/[,.](?=\d{3})/g, "").match(/\d+/);
+		return match ? parseInt(match[0]) : null;
+	}
+
+	withoutEmptyFields(data) {
+		return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== "" && value !== null && !(Array.isArray(value) && value.length === 0)));
+	}
+
 	// Utilidades para extraer texto
 	getTextContent(element, selector) {
+		if (!selector) return "";
 		const found = element.querySelector(selector);
 		return found ? found.textContent.trim() : "";
 	}
 
+	getTextList(element, selector) {
+		if (!selector) return [];
+		const found = element.querySelector(selector);
+		if (!found) return [];
+
+		const items = found.querySelectorAll("li");
+		const texts = items.length > 0 ? Array.from(items, (item) => item.textContent) : found.textContent.split("\n");
+		return texts.map((text) => text.trim()).filter(Boolean);
+	}
+
 	getLinkHref(element, selector) {
+		if (!selector) return "";
 		const found = element.querySelector(selector);
 		return found ? found.href : "";
 	}
 
+	getUrlParam(url, names) {
+		if (!url) return "";
+		try {
+			const params = new URL(url, window.location.origin).searchParams;
+			const name = names.find((candidate) => params.get(candidate));
+			return name ? params.get(name) : "";
+		} catch (error) {
+			return "";
+		}
+	}
+
 	generateJobId(element) {
 		return btoa(element.innerText.substring(0, 100)).replace(/[^a-zA-Z0-9]/g, "");
 	}
 
 	// Análisis local básico (patrones conocidos)
 	performLocalAnalysis(jobData) {
-		const risk = { score: 0, flags: [], risk: 0 };
-
-		// Patrones de texto sospechosos
-		const suspiciousPatterns = [/work from home.*\$\d{3,4}.*week/i, /no experience.*high pay/i, /urgent.*immediate start/i, /pay.*training fee/i, /western union.*money transfer/i, /package forwarding/i, /mystery shopper/i];
+		// Las reglas dependen del idioma de la oferta (ver config/pattern-packs.js)
+		const language = detectLanguage(`${jobData.title} ${jobData.description}`);
+		const risk = { score: 0, flags: [], flagCodes: [], risk: 0, matchedRules: [], language };
+		const addFlag = (code, params = []) => {
+			risk.flagCodes.push({ code, params });
+			risk.flags.push(translateFlag({ code, params }));
+		};
 
-		suspiciousPatterns.forEach((pattern) => {
-			if (pattern.test(jobData.description) || pattern.test(jobData.title)) {
+		// Patrones de texto sospechosos: `pattern` decide si la regla se activa y `highlights` marca las frases en la página
+		const rules = getPatternPacks(language).flatMap((pack) => pack.rules);
+		rules.forEach((rule) => {
+			if (rule.pattern.test(jobData.description) || rule.pattern.test(jobData.title)) {
 				risk.score += 30;
-				risk.flags.push("Patrón de texto sospechoso detectado");
+				addFlag("suspicious_pattern", [rule.id]);
+				risk.matchedRules.push(rule);
 			}
 		});
 
-		// Verificar salario irreal
-		if (jobData.salary) {
-			const salaryNumbers = jobData.salary.match(/\$(\d+)/g);
-			if (salaryNumbers) {
-				const maxSalary = Math.max(...salaryNumbers.map((s) => parseInt(s.replace("$", ""))));
-				if (maxSalary > 200) {
-					// Por hora
-					risk.score += 20;
-					risk.flags.push("Salario potencialmente irreal");
-				}
-			}
+		// Verificar salario irreal (importe anualizado; el umbral local solo vale para USD, el backend compara por región)
+		const salary = parseSalary(jobData.salary);
+		if (salary && salary.confidence >= 0.5 && (!salary.currency || salary.currency === "USD") && salary.annualMax > 200000) {
+			risk.score += 20;
+			addFlag("unrealistic_salary");
+		}
+
+		// Canales de contacto fuera de la empresa
+		const contacts = this.extractContacts(jobData);
+		risk.contacts = contacts;
+		if (contacts.messaging.length > 0) {
+			risk.score += 30;
+			addFlag("messaging_app", [contacts.messaging.join(", ")]);
+		}
+		if (contacts.emails.some((email) => email.freeMail)) {
+			risk.score += 25;
+			addFlag("free_mail");
+		}
+		if (contacts.emails.some((email) => !email.freeMail && !email.matchesCompany)) {
+			risk.score += 15;
+			addFlag("email_domain_mismatch");
 		}
 
 		// Verificar empresa genérica
 		const genericCompanies = ["hiring now", "work from home", "remote work", "online jobs"];
 		if (genericCompanies.some((generic) => jobData.company.toLowerCase().includes(generic))) {
 			risk.score += 25;
-			risk.flags.push("Nombre de empresa genérico");
+			addFlag("generic_company");
 		}
 
 		risk.risk = Math.min(risk.score / 100, 1);
 		return risk;
 	}
 
-	// Análisis con IA (llamada al backend)
-	async performAIAnalysis(jobData) {
-		try {
-			const response = await fetch(`${this.apiBase}/analyze`, {
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-					Authorization: `Bearer ${await this.getApiKey()}`,
-				},
-				body: JSON.stringify({
-					job: jobData,
-					timestamp: Date.now(),
-				}),
+	// Emails, teléfonos y apps de mensajería mencionados en la oferta
+	extractContacts(jobData) {
+		const text = `${jobData.title || ""} ${jobData.description || ""}`;
+		const companyTokens = (jobData.company || "")
+			.toLowerCase()
+			.replace(/\b(?:inc|llc|ltd|corp|corporation|company|co|group|the|and)\b\.?/g, " ")
+			.split(/[^a-z0-9]+/)
+			.filter((token) => token.length >= 3);
+
+		const emails = [...new Set(text.match(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi) || [])].map((address) => {
+			const domain = address.split("@")[1].toLowerCase();
+			const domainName = domain.replace(/[^a-z0-9]/g, "");
+			return {
+				address: address.toLowerCase(),
+				domain,
+				freeMail: this.freeMailDomains.includes(domain),
+				matchesCompany: companyTokens.length === 0 || companyTokens.some((token) => domainName.includes(token)),
+			};
+		});
+
+		const phones = (text.match(/\+?\(?\d[\d\s().-]{6,}\d/g) || []).filter((candidate) => {
+			const digits = candidate.replace(/\D/g, "").length;
+			return digits <= 15 && (digits >= 10 || (candidate.startsWith("+") && digits >= 8));
+		});
+
+		const messaging = this.messagingPatterns.filter(({ pattern }) => pattern.test(text)).map(({ app }) => app);
+
+		return { emails, phones: [...new Set(phones.map((phone) => phone.trim()))], messaging };
+	}
+
+	// Resaltar en la página las frases de las reglas que se activaron
+	highlightPhrases(element, rules) {
+		if (this.settings.highlightPhrases === false || !rules || rules.length === 0) return;
+
+		const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+			acceptNode: (node) => {
+				const parent = node.parentElement;
+				if (!parent || parent.closest(".scam-shield-badge, .scam-shield-highlight, script, style, textarea, input")) {
+					return NodeFilter.FILTER_REJECT;
+				}
+				return NodeFilter.FILTER_ACCEPT;
+			},
+		});
+
+		// Recolectar primero: modificar el DOM mientras se recorre invalida el walker
+		const textNodes = [];
+		while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+		textNodes.forEach((textNode) => {
+			const matches = this.findHighlightMatches(textNode.textContent, rules);
+			if (matches.length === 0) return;
+
+			const fragment = document.createDocumentFragment();
+			let cursor = 0;
+			matches.forEach(({ start, end, rule }) => {
+				fragment.appendChild(document.createTextNode(textNode.textContent.slice(cursor, start)));
+
+				const mark = document.createElement("mark");
+				mark.className = "scam-shield-highlight";
+				mark.dataset.rule = rule.id;
+				mark.title = `${i18n("highlightTooltip", [getRuleLabel(rule.id, rule.label)])}\n${chrome.i18n.getMessage(`rule_${rule.id}_why`) || rule.why}`;
+				mark.textContent = textNode.textContent.slice(start, end);
+				fragment.appendChild(mark);
+
+				cursor = end;
 			});
+			fragment.appendChild(document.createTextNode(textNode.textContent.slice(cursor)));
 
-			if (!response.ok) {
-				throw new Error(`API Error: ${response.status}`);
-			}
+			textNode.parentNode.replaceChild(fragment, textNode);
+		});
+	}
+
+	// Coincidencias ordenadas y sin solapamientos dentro de un texto
+	findHighlightMatches(text, rules) {
+		const matches = [];
+		rules.forEach((rule) => {
+			rule.highlights.forEach((highlight) => {
+				for (const match of text.matchAll(highlight)) {
+					matches.push({ start: match.index, end: match.index + match[0].length, rule });
+				}
+			});
+		});
+
+		matches.sort((a, b) => a.start - b.start);
+		return matches.filter((match, index) => index === 0 || match.start >= matches[index - 1].end);
+	}
 
-			const analysis = await response.json();
+	removeHighlights() {
+		document.querySelectorAll(".scam-shield-highlight").forEach((mark) => {
+			const parent = mark.parentNode;
+			parent.replaceChild(document.createTextNode(mark.textContent), mark);
+			parent.normalize();
+		});
+	}
+
+	// Análisis con IA: el background hace la llamada al backend a través de su cola compartida
+	// Si no hay resultado se devuelve status "unavailable" con el motivo, nunca un riesgo 0
+	async performAIAnalysis(jobData, localAnalysis) {
+		// Nunca enviar datos al backend con la protección en pausa
+		if (!this.isActive) return this.unavailableAnalysis("paused");
+
+		try {
+			const response = await chrome.runtime.sendMessage({
+				action: "analyzeJob",
+				job: jobData,
+				// Las reglas llevan RegExp, que no se serializan: solo se envía el resultado
+				localAnalysis: { risk: localAnalysis.risk, flags: localAnalysis.flags, flagCodes: localAnalysis.flagCodes, contacts: localAnalysis.contacts },
+			});
 
-			// Guardar análisis para métricas
-			this.saveAnalysisResult(jobData.id, analysis);
+			if (!response) {
+				return this.unavailableAnalysis("offline");
+			}
+			if (response.unavailable || response.error) {
+				return this.unavailableAnalysis(response.reason || "server_error");
+			}
 
-			return analysis;
+			return response.analysis;
 		} catch (error) {
+			// El service worker no respondió (p.ej. extensión recargada)
 			console.warn("Error en análisis IA:", error);
-			return { risk: 0, confidence: 0, flags: [] };
+			return this.unavailableAnalysis("server_error");
 		}
 	}
 
+	unavailableAnalysis(reason) {
+		return { status: "unavailable", reason, risk: null, confidence: 0, flags: [] };
+	}
+
 	// Mostrar badge de advertencia
 	showWarningBadge(element, analysis) {
 		// Evitar duplicados
@@ -241,18 +552,18 @@ class ScamShieldDetector {
 
 		const badge = document.createElement("div");
 		badge.className = "scam-shield-badge";
-		badge.dataset.risk = analysis.risk;
-
-		const riskLevel = analysis.risk > 0.7 ? "high" : analysis.risk > 0.4 ? "medium" : "low";
-		badge.classList.add(`risk-${riskLevel}`);
+		if (this.settings.showBadges === false) {
+			badge.style.display = "none";
+		}
 
 		badge.innerHTML = `
       <div class="badge-content">
         <span class="shield-icon">🛡️</span>
-        <span class="risk-text">${this.getRiskText(riskLevel)}</span>
-        <span class="info-icon" title="${analysis.flags.join(", ")}">ℹ️</span>
+        <span class="risk-text"></span>
+        <span class="info-icon">ℹ️</span>
       </div>
     `;
+		this.updateBadgeWithAI(badge, { status: "local", ...analysis });
 
 		// Posicionar badge
 		element.style.position = "relative";
@@ -275,52 +586,97 @@ class ScamShieldDetector {
 		});
 	}
 
-	// Actualizar display con análisis completo
-	updateJobRiskDisplay(element, analysis) {
-		const existingBadge = element.querySelector(".scam-shield-badge");
-		if (existingBadge) {
-			// Actualizar badge existente con datos de IA
-			this.updateBadgeWithAI(existingBadge, analysis);
-		}
-
-		// Notificar al background script sobre análisis completo
-		chrome.runtime.sendMessage({
-			action: "analysisComplete",
-			data: analysis,
-		});
+	getRiskText(level) {
+		const texts = {
+			high: "badgeHigh",
+			medium: "badgeMedium",
+			low: "badgeLow",
+			unknown: "badgeUnknown",
+		};
+		return i18n(texts[level] || texts.unknown);
 	}
 
-	getRiskText(level) {
+	getUnavailableText(reason) {
 		const texts = {
-			high: "ALTO RIESGO",
-			medium: "RIESGO MEDIO",
-			low: "VERIFICADO",
+			offline: "reasonOffline",
+			unauthorized: "reasonUnauthorized",
+			quota_exceeded: "reasonQuotaExceeded",
+			rate_limited: "reasonRateLimited",
+			server_error: "reasonServerError",
+			paused: "reasonPaused",
 		};
-		return texts[level] || "DESCONOCIDO";
+		return i18n(texts[reason] || texts.server_error);
 	}
 
 	// Actualizar display con análisis completo
-	updateJobRiskDisplay(element, analysis) {
+	updateJobRiskDisplay(element, analysis, localRisk) {
 		const existingBadge = element.querySelector(".scam-shield-badge");
+
+		// Sin resultado del backend: mostrar el análisis local marcado como no verificado
+		if (analysis.status === "unavailable") {
+			const fallback = { ...localRisk, status: "unavailable", reason: analysis.reason };
+			if (existingBadge) {
+				this.updateBadgeWithAI(existingBadge, fallback);
+			} else {
+				this.showWarningBadge(element, fallback);
+			}
+			return;
+		}
+
 		if (existingBadge) {
 			// Actualizar badge existente con datos de IA
 			this.updateBadgeWithAI(existingBadge, analysis);
+		} else if (analysis.risk > this.profile.mediumRisk) {
+			// El análisis local no llegó al umbral del perfil, pero el backend sí ve riesgo
+			this.showWarningBadge(element, analysis);
 		}
 	}
 
 	updateBadgeWithAI(badge, analysis) {
-		const riskLevel = analysis.risk > 0.7 ? "high" : analysis.risk > 0.4 ? "medium" : "low";
+		badge.dataset.risk = analysis.risk;
+		badge.dataset.confidence = analysis.confidence || 0;
+		badge.dataset.status = analysis.status || "ok";
+		badge.dataset.reason = analysis.reason || "";
+		this.applyRiskLevel(badge);
+
+		const infoIcon = badge.querySelector(".info-icon");
+		if (infoIcon) {
+			infoIcon.title = this.getBadgeTooltip(analysis);
+		}
+	}
+
+	getBadgeTooltip(analysis) {
+		const flags = getLocalizedFlags(analysis).map((flag) => flag.text);
+		if (analysis.status === "unavailable") {
+			return [i18n("badgeTooltipUnavailable", [this.getUnavailableText(analysis.reason)]), ...flags].join(", ");
+		}
+		if (analysis.status === "degraded") {
+			return [i18n("badgeTooltipDegraded"), ...flags].join(", ");
+		}
+		return flags.join(", ");
+	}
+
+	// Recalcular nivel del badge con el perfil de sensibilidad activo
+	applyRiskLevel(badge) {
+		const status = badge.dataset.status;
+		let riskLevel = classifyRisk(parseFloat(badge.dataset.risk) || 0, this.profile);
+		let text = this.getRiskText(riskLevel);
+
+		// Sin análisis IA (no disponible o aún pendiente) nunca se muestra "verificado": solo riesgos detectados localmente
+		if (status === "unavailable" || status === "local") {
+			riskLevel = riskLevel === "low" ? "unknown" : riskLevel;
+			text = riskLevel === "unknown" ? this.getRiskText("unknown") : i18n("badgeLocal", [this.getRiskText(riskLevel)]);
+		}
 
 		// Actualizar clases CSS
-		badge.className = "scam-shield-badge";
+		badge.classList.remove("risk-high", "risk-medium", "risk-low", "risk-unknown");
 		badge.classList.add(`risk-${riskLevel}`);
-		badge.dataset.risk = analysis.risk;
-		badge.dataset.confidence = analysis.confidence;
+		badge.classList.toggle("degraded", status === "unavailable" || status === "degraded");
 
 		// Actualizar contenido si es necesario
 		const riskText = badge.querySelector(".risk-text");
 		if (riskText) {
-			riskText.textContent = this.getRiskText(riskLevel);
+			riskText.textContent = text;
 		}
 	}
 
@@ -364,6 +720,25 @@ class ScamShieldDetector {
         border: 2px solid #20bf6b;
       }
       
+      .scam-shield-badge.risk-unknown {
+        background: #747d8c;
+        color: white;
+        border: 2px solid #57606f;
+      }
+      
+      .scam-shield-badge.degraded {
+        border-style: dashed;
+      }
+      
+      .scam-shield-highlight {
+        background: rgba(255, 165, 2, 0.35);
+        border-bottom: 2px solid #ff4757;
+        border-radius: 2px;
+        color: inherit;
+        cursor: help;
+        padding: 0 1px;
+      }
+      
       .scam-shield-badge:hover {
         transform: scale(1.05);
         box-shadow: 0 4px 12px rgba(0,0,0,0.3);
@@ -393,13 +768,22 @@ class ScamShieldDetector {
 		chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 			switch (message.action) {
 				case "rescan":
+					if (!this.isActive) {
+						sendResponse({ success: false, paused: true });
+						break;
+					}
 					this.scanExistingJobs();
+					this.lastDetailSignature = null;
+					this.scanJobDetail();
 					sendResponse({ success: true });
 					break;
 				case "settingsUpdated":
 					this.settings = message.settings;
 					this.applySettings();
 					break;
+				case "getCurrentJob":
+					sendResponse({ job: this.getCurrentJob() });
+					break;
 				case "showDetailedAnalysis":
 					// Ya no necesario, se maneja en el sidepanel
 					break;
@@ -409,24 +793,26 @@ class ScamShieldDetector {
 	}
 
 	applySettings() {
-		// Aplicar configuraciones actualizadas
+		this.profile = getSensitivityProfile(this.settings.sensitivity);
+		this.updateProtectionState();
+
+		// Aplicar configuraciones actualizadas a los badges ya mostrados
 		const badges = document.querySelectorAll(".scam-shield-badge");
 		badges.forEach((badge) => {
+			this.applyRiskLevel(badge);
 			badge.style.display = this.settings.showBadges ? "block" : "none";
 		});
+
+		// Activar o quitar los resaltados de frases
+		this.removeHighlights();
+		if (this.isActive && this.settings.highlightPhrases !== false) {
+			this.jobCards.forEach((card) => this.highlightPhrases(card.element, card.matchedRules));
+		}
 	}
 
 	// Remover método showDetailedAnalysis ya que ahora se maneja en el sidepanel
 
-	// Utilidades de storage y API
-	async getApiKey() {
-		return new Promise((resolve) => {
-			chrome.storage.sync.get(["apiKey"], (result) => {
-				resolve(result.apiKey || "demo-key");
-			});
-		});
-	}
-
+	// Utilidades de storage
 	async loadSettings() {
 		return new Promise((resolve) => {
 			chrome.storage.sync.get(["settings"], (result) => {
@@ -434,31 +820,13 @@ class ScamShieldDetector {
 					enabled: true,
 					sensitivity: "medium",
 					showBadges: true,
+					highlightPhrases: true,
 				};
+				this.profile = getSensitivityProfile(this.settings.sensitivity);
 				resolve();
 			});
 		});
 	}
-
-	saveAnalysisResult(jobId, analysis) {
-		chrome.storage.local.get(["analyses"], (result) => {
-			const analyses = result.analyses || {};
-			analyses[jobId] = {
-				...analysis,
-				timestamp: Date.now(),
-			};
-
-			// Mantener solo los últimos 1000 análisis
-			const entries = Object.entries(analyses);
-			if (entries.length > 1000) {
-				const sorted = entries.sort((a, b) => b[1].timestamp - a[1].timestamp);
-				const limited = Object.fromEntries(sorted.slice(0, 1000));
-				chrome.storage.local.set({ analyses: limited });
-			} else {
-				chrome.storage.local.set({ analyses });
-			}
-		});
-	}
 }
 
 // Inicializar cuando el DOM esté listo
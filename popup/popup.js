@@ -4,9 +4,14 @@ class ScamShieldSidepanel {
 		this.currentTab = null;
 		this.stats = { scamsBlocked: 0, jobsScanned: 0, timeSaved: 0 };
 		this.analyses = [];
+		this.outbox = [];
 		this.settings = {};
+		this.profile = getSensitivityProfile("medium");
 		this.activityFeed = [];
 		this.isScanning = false;
+		this.reportTarget = null;
+		this.resumeTimer = null;
+		this.siteRegistry = new SiteAdapterRegistry();
 
 		this.init();
 	}
@@ -14,7 +19,8 @@ class ScamShieldSidepanel {
 	async init() {
 		console.log("🛡️ ScamShield initialized");
 
-		await this.loadInitialData();
+		localizeDocument();
+		await Promise.all([this.loadInitialData(), this.siteRegistry.load()]);
 		this.setupEventListeners();
 		this.setupMessageListeners();
 		this.updateUI();
@@ -31,7 +37,9 @@ class ScamShieldSidepanel {
 			if (response) {
 				this.stats = response.stats || this.stats;
 				this.analyses = response.analyses || [];
+				this.outbox = response.outbox || [];
 				this.settings = response.settings || {};
+				this.profile = getSensitivityProfile(this.settings.sensitivity);
 				this.currentTab = response.currentTab;
 			}
 		} catch (error) {
@@ -55,12 +63,44 @@ class ScamShieldSidepanel {
 		});
 
 		// Settings
+		document.getElementById("enableProtection").addEventListener("change", (e) => {
+			this.updateSetting("enabled", e.target.checked);
+		});
+
+		document.getElementById("enableCurrentSite").addEventListener("change", (e) => {
+			this.toggleCurrentSite(e.target.checked);
+		});
+
+		document.getElementById("pauseHourBtn").addEventListener("click", () => {
+			this.pauseProtection(Date.now() + 60 * 60 * 1000);
+		});
+
+		document.getElementById("pauseTomorrowBtn").addEventListener("click", () => {
+			const tomorrow = new Date();
+			tomorrow.setHours(24, 0, 0, 0);
+			this.pauseProtection(tomorrow.getTime());
+		});
+
+		document.getElementById("resumeBtn").addEventListener("click", () => {
+			this.pauseProtection(null);
+		});
+
 		document.getElementById("enableBadges").addEventListener("change", (e) => {
 			this.updateSetting("showBadges", e.target.checked);
 		});
 
+		document.getElementById("enableHighlights").addEventListener("change", (e) => {
+			this.updateSetting("highlightPhrases", e.target.checked);
+		});
+
 		document.getElementById("sensitivityLevel").addEventListener("change", (e) => {
+			this.profile = getSensitivityProfile(e.target.value);
 			this.updateSetting("sensitivity", e.target.value);
+			this.updateDetectionsList();
+		});
+
+		document.getElementById("cacheTtl").addEventListener("change", (e) => {
+			this.updateSetting("cacheTtlHours", parseInt(e.target.value));
 		});
 
 		document.getElementById("enableNotifications").addEventListener("change", (e) => {
@@ -122,6 +162,33 @@ class ScamShieldSidepanel {
 				this.closeModal();
 			}
 		});
+
+		// Contenido dinámico: delegación de eventos (la CSP de la extensión no permite onclick en línea)
+		document.getElementById("detectionsList").addEventListener("click", (e) => {
+			const item = e.target.closest("[data-analysis-id]");
+			if (item) this.showDetailedAnalysis(item.dataset.analysisId);
+		});
+
+		document.getElementById("modalBody").addEventListener("click", (e) => {
+			const button = e.target.closest("[data-report]");
+			if (!button) return;
+			if (button.dataset.report === "scam") {
+				this.reportScam(button.dataset.analysisId);
+			} else {
+				this.reportFalsePositive(button.dataset.analysisId);
+			}
+		});
+
+		document.getElementById("outboxList").addEventListener("click", (e) => {
+			const button = e.target.closest("[data-outbox-action]");
+			if (button) this.handleOutboxAction(button.dataset.outboxAction, button.dataset.reportId);
+		});
+
+		document.getElementById("modalBody").addEventListener("submit", (e) => {
+			if (e.target.id !== "reportForm") return;
+			e.preventDefault();
+			this.submitReportForm();
+		});
 	}
 
 	setupMessageListeners() {
@@ -137,9 +204,17 @@ class ScamShieldSidepanel {
 				case "analysisCompleteUpdate":
 					this.handleAnalysisComplete(message.data);
 					break;
+				case "statsUpdate":
+					this.stats = message.data.stats;
+					this.updateStats();
+					break;
 				case "activityUpdate":
 					this.handleActivityUpdate(message.data);
 					break;
+				case "reportOutboxUpdate":
+					this.outbox = message.data.outbox;
+					this.updateOutbox();
+					break;
 			}
 		});
 	}
@@ -151,14 +226,15 @@ class ScamShieldSidepanel {
 			isSupported: message.isSupported,
 		};
 		this.updateCurrentPageInfo();
+		this.updateSettings();
 	}
 
 	handleJobDetected(data) {
 		this.stats = data.stats;
 		this.addActivityItem({
 			type: "scanning",
-			title: "Work detected",
-			description: `Analyzing: ${data.jobData.title || "Job offer"}`,
+			title: i18n("activityJobDetected"),
+			description: i18n("activityAnalyzing", [data.jobData.title || i18n("jobOfferFallback")]),
 			timestamp: Date.now(),
 		});
 		this.updateStats();
@@ -173,14 +249,24 @@ class ScamShieldSidepanel {
 			this.analyses = this.analyses.slice(0, 50);
 		}
 
-		const riskLevel = data.analysis.risk > 0.7 ? "danger" : data.analysis.risk > 0.4 ? "warning" : "safe";
+		const activityTypes = { high: "danger", medium: "warning", low: "safe", unknown: "unknown" };
+		const riskLevel = activityTypes[getAnalysisLevel(data.analysis, this.profile)];
 
-		this.addActivityItem({
-			type: riskLevel,
-			title: "Analysis completed",
-			description: `${data.analysis.jobTitle || "Job"} - ${this.getRiskText(riskLevel)}`,
-			timestamp: Date.now(),
-		});
+		if (riskLevel === "unknown") {
+			this.addActivityItem({
+				type: riskLevel,
+				title: i18n("activityUnavailable"),
+				description: `${data.analysis.jobTitle || i18n("jobFallback")} - ${this.getUnavailableText(data.analysis.reason)}`,
+				timestamp: Date.now(),
+			});
+		} else {
+			this.addActivityItem({
+				type: riskLevel,
+				title: i18n("activityCompleted"),
+				description: `${data.analysis.jobTitle || i18n("jobFallback")} - ${this.getRiskText(riskLevel)}`,
+				timestamp: Date.now(),
+			});
+		}
 
 		this.updateStats();
 		this.updateDetectionsList();
@@ -205,6 +291,7 @@ class ScamShieldSidepanel {
 		this.updateCurrentPageInfo();
 		this.updateStats();
 		this.updateDetectionsList();
+		this.updateOutbox();
 		this.updateSettings();
 		this.updateActivityFeed();
 	}
@@ -218,10 +305,10 @@ class ScamShieldSidepanel {
 
 		if (!this.currentTab) {
 			siteIcon.textContent = "🌐";
-			siteName.textContent = "Detecting site...";
-			pageStatus.textContent = "Loading page information";
+			siteName.textContent = i18n("siteDetecting");
+			pageStatus.textContent = i18n("pageLoadingInfo");
 			statusIndicator.className = "status-indicator";
-			statusText.textContent = "Charging...";
+			statusText.textContent = i18n("statusLoading");
 			return;
 		}
 
@@ -229,46 +316,58 @@ class ScamShieldSidepanel {
 		siteIcon.textContent = siteInfo.icon;
 		siteName.textContent = siteInfo.name;
 
-		if (this.currentTab.isSupported) {
-			pageStatus.textContent = `Active protection in ${siteInfo.name}`;
+		if (this.currentTab.isSupported && !isProtectionActive(this.settings, this.getCurrentSiteId())) {
+			pageStatus.textContent = this.settings.pausedUntil > Date.now() ? i18n("pagePausedUntil", [this.formatTime(this.settings.pausedUntil)]) : i18n("pageDisabledOn", [siteInfo.name]);
+			statusIndicator.className = "status-indicator inactive";
+			statusText.textContent = i18n("statusPaused");
+		} else if (this.currentTab.isSupported) {
+			pageStatus.textContent = i18n("pageActiveOn", [siteInfo.name]);
 			statusIndicator.className = "status-indicator active";
-			statusText.textContent = "Asset";
+			statusText.textContent = i18n("statusActive");
 		} else {
-			pageStatus.textContent = "Site not supported";
+			pageStatus.textContent = i18n("pageUnsupported");
 			statusIndicator.className = "status-indicator inactive";
-			statusText.textContent = "Inactive";
+			statusText.textContent = i18n("statusInactive");
 		}
 	}
 
 	getSiteInfo(url) {
-		if (!url) return { name: "Unknown page", icon: "🌐" };
-
-		if (url.includes("linkedin.com")) return { name: "LinkedIn", icon: "💼" };
-		if (url.includes("indeed.com")) return { name: "Indeed", icon: "🔍" };
-		if (url.includes("glassdoor.com")) return { name: "Glassdoor", icon: "🏢" };
-		if (url.includes("ziprecruiter.com")) return { name: "ZipRecruiter", icon: "📋" };
+		return this.siteRegistry.getSiteInfo(url);
+	}
 
-		return { name: "Web page", icon: "🌐" };
+	getCurrentSiteId() {
+		const adapter = this.currentTab ? this.siteRegistry.findByUrl(this.currentTab.url) : null;
+		return adapter ? adapter.id : null;
 	}
 
 	updateStats() {
-		document.getElementById("scamsBlocked").textContent = this.stats.scamsBlocked || 0;
-		document.getElementById("jobsScanned").textContent = this.stats.jobsScanned || 0;
-		document.getElementById("timeSaved").textContent = `${this.stats.timeSaved || 0}min`;
+		document.getElementById("scamsBlocked").textContent = formatNumber(this.stats.scamsBlocked || 0);
+		document.getElementById("jobsScanned").textContent = formatNumber(this.stats.jobsScanned || 0);
+		document.getElementById("timeSaved").textContent = i18n("statTimeSavedValue", [formatNumber(this.stats.timeSaved || 0)]);
+
+		const hits = this.stats.cacheHits || 0;
+		const misses = this.stats.cacheMisses || 0;
+		const hitRate = hits + misses > 0 ? hits / (hits + misses) : 0;
+		document.getElementById("cacheStats").textContent = i18n("cacheStats", [formatNumber(hits), formatNumber(misses), formatPercent(hitRate)]);
+
+		const unavailable = this.stats.analysesUnavailable || 0;
+		const unavailableNote = document.getElementById("unavailableNote");
+		unavailableNote.textContent = i18n("statsUnavailable", [formatNumber(unavailable)]);
+		unavailableNote.classList.toggle("hidden", unavailable === 0);
 	}
 
 	updateDetectionsList() {
 		const container = document.getElementById("detectionsList");
 		const badge = document.getElementById("detectionsBadge");
 
-		badge.textContent = this.analyses.length;
+		badge.textContent = formatNumber(this.analyses.length);
 
 		if (this.analyses.length === 0) {
 			container.innerHTML = `
         <div class="activity-placeholder">
           <div class="placeholder-icon">🛡️</div>
-          <p>No recent detections</p>
-          <small>ScamShield will alert you when it detects suspicious work</small>
+          <p>${i18n("detectionsEmpty")}</p>
+          <small>${i18n("detectionsEmptyHint")}</small>
         </div>
       `;
 			return;
@@ -277,16 +376,16 @@ class ScamShieldSidepanel {
 		container.innerHTML = this.analyses
 			.slice(0, 10)
 			.map((analysis) => {
-				const riskLevel = analysis.risk > 0.7 ? "high" : analysis.risk > 0.4 ? "medium" : "low";
+				const riskLevel = getAnalysisLevel(analysis, this.profile);
 				const riskIcon = this.getRiskIcon(riskLevel);
 				const timeAgo = this.formatTimeAgo(analysis.timestamp);
 
 				return `
-        <div class="detection-item risk-${riskLevel}" onclick="sidepanel.showDetailedAnalysis('${analysis.id}')">
+        <div class="detection-item risk-${riskLevel}" data-analysis-id="${this.escapeHtml(analysis.id)}">
           <div class="detection-icon">${riskIcon}</div>
           <div class="detection-info">
-            <div class="job-title">${analysis.jobTitle || "Work analyzed"}</div>
-            <div class="company-name">${analysis.company || "Unknown company"}</div>
+            <div class="job-title">${analysis.jobTitle || i18n("jobAnalyzedFallback")}</div>
+            <div class="company-name">${analysis.company || i18n("unknownCompany")}</div>
             <div class="detection-meta">
               <span class="risk-level ${riskLevel}">${this.getRiskText(riskLevel)}</span>
               <span class="time-ago">${timeAgo}</span>
@@ -298,6 +397,55 @@ class ScamShieldSidepanel {
 			.join("");
 	}
 
+	// Reportes y feedback que aún no llegaron al backend: en espera de reintento o fallidos
+	updateOutbox() {
+		const section = document.getElementById("outboxSection");
+		const container = document.getElementById("outboxList");
+
+		section.classList.toggle("hidden", this.outbox.length === 0);
+		document.getElementById("outboxBadge").textContent = formatNumber(this.outbox.length);
+
+		container.innerHTML = this.outbox
+			.map(
+				(item) => `
+        <div class="outbox-item ${item.status}">
+          <div class="detection-info">
+            <div class="job-title">${this.escapeHtml(item.summary.jobTitle || i18n("jobAnalyzedFallback"))}</div>
+            <div class="company-name">${item.summary.type === "scam" ? i18n(`reportCategory_${item.summary.category || "other"}`) : i18n("reportTypeFalsePositive")}</div>
+            <div class="outbox-status">${
+							item.status === "failed" ? this.getReportErrorText(item.lastError) : i18n("outboxRetrying", [this.formatTimeUntil(item.nextAttemptAt)])
+						}</div>
+          </div>
+          <div class="outbox-actions">
+            <button class="clear-btn" data-outbox-action="retry" data-report-id="${this.escapeHtml(item.id)}">${i18n("outboxRetry")}</button>
+            <button class="clear-btn" data-outbox-action="discard" data-report-id="${this.escapeHtml(item.id)}">${i18n("outboxDiscard")}</button>
+          </div>
+        </div>
+      `
+			)
+			.join("");
+	}
+
+	async handleOutboxAction(action, id) {
+		try {
+			if (action === "discard") {
+				await chrome.runtime.sendMessage({ action: "discardReport", id });
+				this.outbox = this.outbox.filter((item) => item.id !== id);
+				this.updateOutbox();
+				return;
+			}
+
+			const outcome = await chrome.runtime.sendMessage({ action: "retryReport", id });
+			if (outcome?.status === "sent") {
+				this.showNotification(i18n("toastReportSent"), "success");
+			} else if (outcome) {
+				this.showNotification(outcome.status === "pending" ? i18n("toastReportQueued") : this.getReportErrorText(outcome.code), outcome.status === "pending" ? "info" : "error");
+			}
+		} catch (error) {
+			console.error("Error handling outbox action:", error);
+		}
+	}
+
 	updateActivityFeed() {
 		const container = document.getElementById("activityFeed");
 
@@ -305,8 +453,8 @@ class ScamShieldSidepanel {
 			container.innerHTML = `
         <div class="activity-placeholder">
           <div class="placeholder-icon">👁️</div>
-          <p>Navigate to LinkedIn, Indeed or similar to view activity</p>
-          <small>ScamShield will automatically analyze job offers</small>
+          <p>${i18n("activityEmpty")}</p>
+          <small>${i18n("activityEmptyHint")}</small>
         </div>
       `;
 			return;
@@ -332,8 +480,31 @@ class ScamShieldSidepanel {
 	}
 
 	updateSettings() {
+		const siteId = this.getCurrentSiteId();
+		const currentSiteToggle = document.getElementById("enableCurrentSite");
+		document.getElementById("enableProtection").checked = this.settings.enabled !== false;
+		currentSiteToggle.disabled = !siteId;
+		currentSiteToggle.checked = !!siteId && !(this.settings.disabledSites || []).includes(siteId);
+		document.getElementById("currentSiteLabel").textContent = siteId ? i18n("settingCurrentSiteOn", [this.getSiteInfo(this.currentTab.url).name]) : i18n("pageUnsupported");
+
+		// Estado de la pausa temporal
+		const isPaused = this.settings.pausedUntil > Date.now();
+		document.getElementById("resumeBtn").classList.toggle("hidden", !isPaused);
+		document.getElementById("pauseStatus").textContent = isPaused ? i18n("pagePausedUntil", [this.formatTime(this.settings.pausedUntil)]) : "";
+
+		// Refrescar la interfaz cuando termine la pausa
+		clearTimeout(this.resumeTimer);
+		if (isPaused) {
+			this.resumeTimer = setTimeout(() => {
+				this.updateSettings();
+				this.updateCurrentPageInfo();
+			}, this.settings.pausedUntil - Date.now() + 1000);
+		}
+
 		document.getElementById("enableBadges").checked = this.settings.showBadges !== false;
+		document.getElementById("enableHighlights").checked = this.settings.highlightPhrases !== false;
 		document.getElementById("sensitivityLevel").value = this.settings.sensitivity || "medium";
+		document.getElementById("cacheTtl").value = String(this.settings.cacheTtlHours || 24);
 		document.getElementById("enableNotifications").checked = this.settings.notifications !== false;
 		document.getElementById("autoScan").checked = this.settings.autoScan !== false;
 	}
@@ -348,25 +519,29 @@ class ScamShieldSidepanel {
 		this.isScanning = true;
 		scanBtn.disabled = true;
 		scanBtnIcon.className = "loading";
-		scanBtnText.textContent = "Scanning...";
+		scanBtnText.textContent = i18n("scanButtonScanning");
 
 		try {
 			// Obtener pestaña activa
 			const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
 			if (!tab) {
-				throw new Error("Could not get the active tab");
+				throw new Error(i18n("errorNoActiveTab"));
 			}
 
 			// Enviar mensaje al content script
-			await chrome.tabs.sendMessage(tab.id, {
+			const response = await chrome.tabs.sendMessage(tab.id, {
 				action: "rescan",
 			});
 
+			if (response && response.paused) {
+				throw new Error(i18n("errorPausedOnSite"));
+			}
+
 			this.addActivityItem({
 				type: "scanning",
-				title: "Manual scan started",
-				description: "Analyzing current page...",
+				title: i18n("activityManualScan"),
+				description: i18n("activityManualScanText"),
 				timestamp: Date.now(),
 			});
 
@@ -375,8 +550,8 @@ class ScamShieldSidepanel {
 
 			this.addActivityItem({
 				type: "safe",
-				title: "Scanning completed",
-				description: "Page successfully scanned",
+				title: i18n("activityScanDone"),
+				description: i18n("activityScanDoneText"),
 				timestamp: Date.now(),
 			});
 		} catch (error) {
@@ -384,8 +559,8 @@ class ScamShieldSidepanel {
 
 			this.addActivityItem({
 				type: "warning",
-				title: "Scanning error",
-				description: error.message || "The page could not be scanned.",
+				title: i18n("activityScanError"),
+				description: error.message || i18n("activityScanErrorText"),
 				timestamp: Date.now(),
 			});
 		} finally {
@@ -393,7 +568,7 @@ class ScamShieldSidepanel {
 			scanBtn.disabled = false;
 			scanBtnIcon.className = "";
 			scanBtnIcon.textContent = "🔄";
-			scanBtnText.textContent = "Scan";
+			scanBtnText.textContent = i18n("scanButton");
 		}
 	}
 
@@ -409,13 +584,28 @@ class ScamShieldSidepanel {
 				settings: this.settings,
 			});
 
-			this.showNotification("Updated configuration", "success");
+			this.updateSettings();
+			this.updateCurrentPageInfo();
+			this.showNotification(i18n("toastSettingsUpdated"), "success");
 		} catch (error) {
 			console.error("Error updating configuration:", error);
-			this.showNotification("Error updating configuration", "error");
+			this.showNotification(i18n("toastSettingsError"), "error");
 		}
 	}
 
+	toggleCurrentSite(enabled) {
+		const siteId = this.getCurrentSiteId();
+		if (!siteId) return;
+
+		const disabledSites = (this.settings.disabledSites || []).filter((id) => id !== siteId);
+		if (!enabled) disabledSites.push(siteId);
+		this.updateSetting("disabledSites", disabledSites);
+	}
+
+	pauseProtection(until) {
+		this.updateSetting("pausedUntil", until);
+	}
+
 	toggleSection(sectionName) {
 		const section = document.getElementById(`${sectionName}Section`);
 		const toggle = document.getElementById(`${sectionName}Toggle`);
@@ -440,56 +630,96 @@ class ScamShieldSidepanel {
 		const modal = document.getElementById("analysisModal");
 		const modalBody = document.getElementById("modalBody");
 
-		const riskLevel = analysis.risk > 0.7 ? "high" : analysis.risk > 0.4 ? "medium" : "low";
-		const riskPercentage = Math.round(analysis.risk * 100);
+		const riskLevel = getAnalysisLevel(analysis, this.profile);
+		const isUnavailable = riskLevel === "unknown";
+		const riskPercentage = isUnavailable ? "—" : formatPercent(analysis.risk);
 
+		document.getElementById("modalTitle").textContent = i18n("modalTitle");
 		modalBody.innerHTML = `
       <div class="analysis-overview">
         <div class="risk-score risk-${riskLevel}">
           <div class="score-circle">
-            <div class="score-value">${riskPercentage}%</div>
-            <div class="score-label">Riesgo</div>
+            <div class="score-value">${riskPercentage}</div>
+            <div class="score-label">${i18n("modalRisk")}</div>
           </div>
         </div>
         <div class="risk-summary">
           <h4>${this.getRiskText(riskLevel)}</h4>
-          <p class="confidence">Confianza: ${Math.round((analysis.confidence || 0.8) * 100)}%</p>
+          <p class="confidence">${i18n("modalConfidence", [formatPercent(analysis.confidence || 0.8)])}</p>
         </div>
       </div>
 
+      ${
+				isUnavailable
+					? `
+      <div class="analysis-status unavailable">
+        <strong>${i18n("modalUnavailable")}</strong> ${this.getUnavailableText(analysis.reason)}.
+        ${typeof analysis.localRisk === "number" ? i18n("modalLocalOnly", [formatPercent(analysis.localRisk)]) : i18n("modalNoLocal")}
+      </div>`
+					: ""
+			}
+      ${
+				analysis.status === "degraded"
+					? `
+      <div class="analysis-status degraded">
+        <strong>${i18n("modalPartial")}</strong> ${i18n("modalPartialText", [(analysis.degradedSignals || []).map((signal) => this.getSignalLabel(signal)).join(", ")])}
+      </div>`
+					: ""
+			}
+
       <div class="analysis-details">
-        <h4>Work Analyzed</h4>
+        <h4>${i18n("modalJobAnalyzed")}</h4>
         <div class="job-info">
-          <p><strong>Title:</strong> ${analysis.jobTitle || "Not available"}</p>
-          <p><strong>Company:</strong> ${analysis.company || "Not available"}</p>
-          <p><strong>Location:</strong> ${analysis.location || "Not available"}</p>
-          ${analysis.salary ? `<p><strong>Salary:</strong> ${analysis.salary}</p>` : ""}
+          <p><strong>${i18n("modalJobTitle")}</strong> ${analysis.jobTitle || i18n("notAvailable")}</p>
+          <p><strong>${i18n("modalCompany")}</strong> ${analysis.company || i18n("notAvailable")}</p>
+          <p><strong>${i18n("modalLocation")}</strong> ${analysis.location || i18n("notAvailable")}</p>
+          ${analysis.salary ? `<p><strong>${i18n("modalSalary")}</strong> ${analysis.salary}</p>` : ""}
         </div>
 
-        <h4>Warning Signs Detected</h4>
+        <h4>${i18n("modalWarningSigns")}</h4>
         <div class="flags-list">
           ${
-						(analysis.flags || [])
+						getLocalizedFlags(analysis)
 							.map(
 								(flag) => `
-            <div class="flag-item">
-              <span class="flag-icon">🚩</span>
-              <span class="flag-text">${flag}</span>
+            <div class="flag-item ${flag.severity}">
+              <span class="flag-icon">${flag.severity === "high" ? "⛔" : "🚩"}</span>
+              <span class="flag-text">${this.escapeHtml(flag.text)}</span>
             </div>
           `
 							)
-							.join("") || '<p class="no-flags">No specific signals were detected</p>'
+							.join("") || `<p class="no-flags">${i18n("modalNoFlags")}</p>`
 					}
         </div>
 
-        <h4>AI Analysis</h4>
+        ${
+					isUnavailable
+						? ""
+						: `
+        <h4>${i18n("modalBreakdown")}</h4>
+        <div class="risk-breakdown">
+          ${this.renderBreakdown(analysis.breakdown)}
+        </div>`
+				}
+
+        ${
+					this.hasContacts(analysis.contacts)
+						? `
+        <h4>${i18n("modalContacts")}</h4>
+        <div class="contact-channels">
+          ${this.renderContacts(analysis.contacts)}
+        </div>`
+						: ""
+				}
+
+        <h4>${i18n("modalAiAnalysis")}</h4>
         <div class="ai-analysis">
-          <p><strong>Text pattern:</strong> ${analysis.aiAnalysis?.textScore ? `${Math.round(analysis.aiAnalysis.textScore * 100)}% suspicious` : "Not analyzed"}</p>
-          <p><strong>Company verification:</strong> ${analysis.aiAnalysis?.companyVerified ? "Verified ✅" : "Not verified ❌"}</p>
-          <p><strong>Salary Analysis:</strong> ${analysis.aiAnalysis?.salaryRealistic ? "Realistic ✅" : "Doubtful ❌"}</p>
+          <p><strong>${i18n("modalTextPattern")}</strong> ${analysis.aiAnalysis?.textScore ? i18n("modalSuspiciousPercent", [formatPercent(analysis.aiAnalysis.textScore)]) : i18n("notAnalyzed")}</p>
+          <p><strong>${i18n("modalCompanyVerification")}</strong> ${analysis.aiAnalysis?.companyVerified ? i18n("companyVerified") : i18n("companyNotVerified")}</p>
+          <p><strong>${i18n("modalSalaryAnalysis")}</strong> ${analysis.aiAnalysis?.salaryRealistic ? i18n("salaryRealistic") : i18n("salaryDoubtful")}</p>
         </div>
 
-        <h4>Recommendations</h4>
+        <h4>${i18n("modalRecommendations")}</h4>
         <div class="recommendations">
           ${this.getRecommendations(riskLevel)
 						.map(
@@ -505,11 +735,11 @@ class ScamShieldSidepanel {
       </div>
 
       <div class="modal-actions" style="display: flex; gap: 12px; margin-top: 20px;">
-        <button class="btn-secondary" onclick="sidepanel.reportFalsePositive('${analysisId}')" style="flex: 1; padding: 10px; border: 1px solid #dee2e6; background: white; border-radius: 6px; cursor: pointer;">
-          Report false positive
+        <button class="btn-secondary" data-report="false_positive" data-analysis-id="${this.escapeHtml(analysisId)}" style="flex: 1; padding: 10px; border: 1px solid #dee2e6; background: white; border-radius: 6px; cursor: pointer;">
+          ${i18n("reportFalsePositive")}
         </button>
-        <button class="btn-primary" onclick="sidepanel.reportScam('${analysisId}')" style="flex: 1; padding: 10px; border: none; background: #667eea; color: white; border-radius: 6px; cursor: pointer;">
-          Report as scam
+        <button class="btn-primary" data-report="scam" data-analysis-id="${this.escapeHtml(analysisId)}" style="flex: 1; padding: 10px; border: none; background: #667eea; color: white; border-radius: 6px; cursor: pointer;">
+          ${i18n("reportAsScam")}
         </button>
       </div>
     `;
@@ -517,6 +747,89 @@ class ScamShieldSidepanel {
 		modal.classList.remove("hidden");
 	}
 
+	// Desglose por señal: cuánto aportó cada una al riesgo total y por qué
+	// Los reportes de la comunidad son un ajuste sin peso propio que también puede restar puntos
+	renderBreakdown(breakdown) {
+		if (!breakdown || breakdown.length === 0) {
+			return `<p class="no-flags">${i18n("breakdownEmpty")}</p>`;
+		}
+
+		return breakdown
+			.map(
+				(item) => `
+          <div class="breakdown-item">
+            <div class="breakdown-header">
+              <span class="breakdown-label">${this.getSignalLabel(item.signal)}</span>
+              <span class="breakdown-contribution">${i18n("breakdownPoints", [formatNumber(Math.round(item.contribution * 100), { signDisplay: "exceptZero" })])}</span>
+            </div>
+            <div class="breakdown-bar">
+              <div class="breakdown-fill" style="width: ${Math.round(item.rawScore * 100)}%"></div>
+            </div>
+            ${item.weight > 0 ? `<div class="breakdown-meta">${i18n("breakdownMeta", [formatPercent(item.rawScore), formatPercent(item.weight)])}</div>` : ""}
+            ${
+							(item.evidence || []).length > 0
+								? `<ul class="breakdown-evidence">${item.evidence.map((evidence) => `<li>${this.escapeHtml(evidence)}</li>`).join("")}</ul>`
+								: ""
+						}
+          </div>
+        `
+			)
+			.join("");
+	}
+
+	hasContacts(contacts) {
+		return Boolean(contacts && ((contacts.emails || []).length || (contacts.phones || []).length || (contacts.messaging || []).length));
+	}
+
+	// Emails, teléfonos y apps de mensajería encontrados en la oferta
+	// Los handles llegan como { app, handle } desde el backend o como nombre de app desde el análisis local
+	renderContacts(contacts) {
+		const emails = (contacts.emails || []).map((email) => {
+			const warning = email.freeMail ? i18n("contactFreeMail") : !email.matchesCompany ? i18n("contactDomainMismatch") : "";
+			return `
+          <div class="contact-item${warning ? " suspicious" : ""}">
+            <span class="contact-type">${i18n("contactEmail")}</span>
+            <span class="contact-value">${this.escapeHtml(email.address)}</span>
+            ${warning ? `<span class="contact-warning">${warning}</span>` : ""}
+          </div>`;
+		});
+
+		const messaging = (contacts.messaging || []).map((item) => {
+			const app = typeof item === "string" ? item : item.app;
+			const handle = typeof item === "string" ? null : item.handle;
+			return `
+          <div class="contact-item suspicious">
+            <span class="contact-type">💬 ${this.escapeHtml(app.charAt(0).toUpperCase() + app.slice(1))}</span>
+            <span class="contact-value">${handle ? this.escapeHtml(handle) : i18n("contactMentioned")}</span>
+            <span class="contact-warning">${i18n("contactMessagingWarning")}</span>
+          </div>`;
+		});
+
+		const phones = (contacts.phones || []).map(
+			(phone) => `
+          <div class="contact-item">
+            <span class="contact-type">${i18n("contactPhone")}</span>
+            <span class="contact-value">${this.escapeHtml(phone)}</span>
+          </div>`
+		);
+
+		return [...messaging, ...emails, ...phones].join("");
+	}
+
+	getSignalLabel(signal) {
+		const labels = {
+			text: "signalText",
+			company: "signalCompany",
+			salary: "signalSalary",
+			contact: "signalContact",
+			links: "signalLinks",
+			duplicates: "signalDuplicates",
+			ai: "signalAi",
+			community: "signalCommunity",
+		};
+		return labels[signal] ? i18n(labels[signal]) : signal;
+	}
+
 	closeModal() {
 		document.getElementById("analysisModal").classList.add("hidden");
 	}
@@ -526,16 +839,174 @@ class ScamShieldSidepanel {
 		this.updateDetectionsList();
 
 		chrome.storage.local.set({ analyses: {} });
-		this.showNotification("Detections removed", "success");
+		this.showNotification(i18n("toastDetectionsCleared"), "success");
+	}
+
+	// Formulario de reporte: se prellena con el análisis seleccionado o, si no hay, con la oferta abierta en la página
+	async openReportModal(analysisId = null) {
+		const analysis = analysisId ? this.analyses.find((a) => a.id === analysisId) : null;
+		const [pageJob, history] = await Promise.all([this.getCurrentPageJob(), chrome.runtime.sendMessage({ action: "getReportHistory" }).catch(() => [])]);
+
+		let target = null;
+		if (analysis) {
+			target = { jobId: analysis.jobId || analysis.id, jobTitle: analysis.jobTitle, company: analysis.company };
+		} else if (pageJob) {
+			target = { jobId: pageJob.id, jobTitle: pageJob.title, company: pageJob.company };
+		}
+
+		// El texto de la oferta solo se puede adjuntar si es la que está abierta en la página
+		if (target && pageJob && pageJob.id === target.jobId && pageJob.description) {
+			target.postingText = pageJob.description;
+		}
+		this.reportTarget = target;
+
+		document.getElementById("modalTitle").textContent = i18n("reportTitle");
+		document.getElementById("modalBody").innerHTML = `
+      ${target ? this.renderReportForm(target) : `<p class="no-flags">${i18n("reportNoTarget")}</p>`}
+
+      <h4>${i18n("reportHistoryTitle")}</h4>
+      <div class="report-history">
+        ${this.renderReportHistory(history || [])}
+      </div>
+    `;
+
+		document.getElementById("analysisModal").classList.remove("hidden");
+	}
+
+	// Oferta abierta en la pestaña activa según el content script (null si no hay ninguna o el sitio no es compatible)
+	async getCurrentPageJob() {
+		try {
+			const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+			if (!tab || !this.currentTab?.isSupported) return null;
+
+			const response = await chrome.tabs.sendMessage(tab.id, { action: "getCurrentJob" });
+			return response?.job || null;
+		} catch (error) {
+			return null; // Pestaña sin content script
+		}
+	}
+
+	renderReportForm(target) {
+		const categories = ["fee_request", "fake_check", "identity_theft", "crypto", "reshipping", "other"];
+
+		return `
+      <form id="reportForm" class="report-form">
+        <div class="report-target">
+          <div class="job-title">${this.escapeHtml(target.jobTitle || i18n("jobAnalyzedFallback"))}</div>
+          <div class="company-name">${this.escapeHtml(target.company || i18n("unknownCompany"))}</div>
+        </div>
+
+        <label class="setting-label" for="reportCategory">${i18n("reportCategory")}</label>
+        <select id="reportCategory" class="setting-select">
+          ${categories.map((category) => `<option value="${category}">${i18n(`reportCategory_${category}`)}</option>`).join("")}
+        </select>
+
+        <label class="setting-label" for="reportDetails">${i18n("reportDetails")}</label>
+        <textarea id="reportDetails" class="report-details" rows="4" maxlength="1000" placeholder="${this.escapeHtml(i18n("reportDetailsPlaceholder"))}"></textarea>
+
+        <label class="setting-item">
+          <input type="checkbox" id="reportAttachText" ${target.postingText ? "checked" : "disabled"} />
+          <span class="setting-label">${i18n("reportAttachText")}</span>
+          <span class="setting-description">${i18n(target.postingText ? "reportAttachTextHint" : "reportAttachTextUnavailable")}</span>
+        </label>
+
+        <button type="submit" class="btn-primary report-submit" id="reportSubmit">${i18n("reportSubmit")}</button>
+      </form>
+    `;
+	}
+
+	renderReportHistory(history) {
+		if (history.length === 0) {
+			return `<p class="no-flags">${i18n("reportHistoryEmpty")}</p>`;
+		}
+
+		return history
+			.map(
+				(report) => `
+          <div class="report-history-item ${report.status}">
+            <div class="report-history-header">
+              <span class="job-title">${this.escapeHtml(report.jobTitle || i18n("jobAnalyzedFallback"))}</span>
+              <span class="time-ago">${this.formatTimeAgo(report.timestamp)}</span>
+            </div>
+            <div class="report-history-meta">
+              <span>${report.type === "scam" ? i18n(`reportCategory_${report.category || "other"}`) : i18n("reportTypeFalsePositive")}</span>
+              <span class="report-status">${this.getReportStatusText(report.status)}</span>
+              ${report.communityStatus === "confirmed_scam" ? `<span class="report-status confirmed">${i18n("reportCommunityConfirmed")}</span>` : ""}
+            </div>
+          </div>
+        `
+			)
+			.join("");
+	}
+
+	async submitReportForm() {
+		if (!this.reportTarget) return;
+
+		const submit = document.getElementById("reportSubmit");
+		submit.disabled = true;
+		submit.textContent = i18n("reportSending");
+
+		const attachText = document.getElementById("reportAttachText").checked;
+		const sent = await this.sendReport({
+			...this.reportTarget,
+			type: "scam",
+			category: document.getElementById("reportCategory").value,
+			details: document.getElementById("reportDetails").value.trim(),
+			postingText: attachText ? this.reportTarget.postingText : undefined,
+		});
+
+		if (sent) {
+			this.closeModal();
+		} else {
+			submit.disabled = false;
+			submit.textContent = i18n("reportSubmit");
+		}
 	}
 
-	openReportModal() {
-		this.showNotification("Reporting feature coming soon", "info");
+	// Enviar el reporte a través del background; devuelve true si el backend lo aceptó o quedó en cola para reintentarlo
+	async sendReport(report) {
+		try {
+			const response = await chrome.runtime.sendMessage({ action: "scamReported", data: report });
+			if (response?.success) {
+				this.showNotification(i18n(report.type === "scam" ? "toastThanksReport" : "toastThanksFeedback"), "success");
+				return true;
+			}
+
+			// Sin conexión o error temporal: queda en la bandeja de salida y se reintentará solo
+			if (response?.queued) {
+				this.showNotification(i18n("toastReportQueued"), "info");
+				return true;
+			}
+
+			this.showNotification(this.getReportErrorText(response?.report?.code), "error");
+		} catch (error) {
+			console.error("Error sending report:", error);
+			this.showNotification(this.getReportErrorText(null), "error");
+		}
+		return false;
+	}
+
+	getReportStatusText(status) {
+		const texts = {
+			sent: "reportStatusSent",
+			pending: "reportStatusPending",
+			failed: "reportStatusFailed",
+		};
+		return i18n(texts[status] || texts.failed);
+	}
+
+	getReportErrorText(code) {
+		const texts = {
+			already_reported: "toastReportAlreadySent",
+			not_found: "toastReportNotFound",
+			invalid_report: "toastReportInvalid",
+		};
+		return texts[code] ? i18n(texts[code]) : i18n("toastReportFailed", [this.getUnavailableText(code)]);
 	}
 
 	openStatsModal() {
 		// Implementar modal de estadísticas detalladas
-		this.showNotification("Detailed statistics coming soon", "info");
+		this.showNotification(i18n("toastStatsSoon"), "info");
 	}
 
 	openHelp() {
@@ -547,37 +1018,57 @@ class ScamShieldSidepanel {
 	}
 
 	reportScam(analysisId) {
-		// Implementar reporte de estafa
-		this.showNotification("Thank you for reporting this scam.", "success");
-		this.closeModal();
+		this.openReportModal(analysisId);
 	}
 
-	reportFalsePositive(analysisId) {
-		// Implementar reporte de falso positivo
-		this.showNotification("Thank you for your feedback.", "success");
-		this.closeModal();
+	// El falso positivo no necesita formulario: se envía directamente
+	async reportFalsePositive(analysisId) {
+		const analysis = this.analyses.find((a) => a.id === analysisId);
+		if (!analysis) return;
+
+		const sent = await this.sendReport({ jobId: analysis.jobId || analysis.id, jobTitle: analysis.jobTitle, company: analysis.company, type: "false_positive" });
+		if (sent) this.closeModal();
 	}
 
 	// Utility methods
+	escapeHtml(text) {
+		const div = document.createElement("div");
+		div.textContent = String(text);
+		return div.innerHTML;
+	}
+
 	getRiskIcon(level) {
 		const icons = {
 			high: "🚨",
 			medium: "⚠️",
 			low: "✅",
+			unknown: "❓",
 		};
 		return icons[level] || "❓";
 	}
 
 	getRiskText(level) {
 		const texts = {
-			high: "High Risk",
-			medium: "Medium Risk",
-			low: "Sure",
-			danger: "Dangerous",
-			warning: "Caution",
-			safe: "Sure",
+			high: "riskHigh",
+			medium: "riskMedium",
+			low: "riskLow",
+			danger: "riskDanger",
+			warning: "riskWarning",
+			safe: "riskLow",
+			unknown: "riskUnknown",
 		};
-		return texts[level] || "Stranger";
+		return i18n(texts[level] || "riskUnknown");
+	}
+
+	getUnavailableText(reason) {
+		const texts = {
+			offline: "reasonOffline",
+			unauthorized: "reasonUnauthorized",
+			quota_exceeded: "reasonQuotaExceeded",
+			rate_limited: "reasonRateLimited",
+			server_error: "reasonServerError",
+		};
+		return i18n(texts[reason] || texts.server_error);
 	}
 
 	getActivityIcon(type) {
@@ -586,41 +1077,60 @@ class ScamShieldSidepanel {
 			safe: "✅",
 			warning: "⚠️",
 			danger: "🚨",
+			unknown: "❓",
 		};
 		return icons[type] || "📊";
 	}
 
+	formatTime(timestamp) {
+		return formatDateTime(timestamp, { weekday: "short", hour: "2-digit", minute: "2-digit" });
+	}
+
 	formatTimeAgo(timestamp) {
 		const now = Date.now();
 		const diff = now - timestamp;
 		const minutes = Math.floor(diff / 60000);
 		const hours = Math.floor(diff / 3600000);
 		const days = Math.floor(diff / 86400000);
+		const relative = new Intl.RelativeTimeFormat(getUILocale(), { style: "narrow" });
 
-		if (days > 0) return `${days}d`;
-		if (hours > 0) return `${hours}h`;
-		if (minutes > 0) return `${minutes}m`;
-		return "now";
+		if (days > 0) return relative.format(-days, "day");
+		if (hours > 0) return relative.format(-hours, "hour");
+		if (minutes > 0) return relative.format(-minutes, "minute");
+		return i18n("timeNow");
+	}
+
+	formatTimeUntil(timestamp) {
+		const minutes = Math.max(Math.ceil((timestamp - Date.now()) / 60000), 0);
+		const relative = new Intl.RelativeTimeFormat(getUILocale(), { numeric: "auto" });
+
+		if (minutes >= 60) return relative.format(Math.round(minutes / 60), "hour");
+		return relative.format(minutes, "minute");
 	}
 
 	getRecommendations(riskLevel) {
 		const recommendations = {
 			high: [
-				{ icon: "🚫", text: "Do NOT apply for this job" },
-				{ icon: "📞", text: "Do NOT provide personal information" },
-				{ icon: "💰", text: "Do NOT pay any fees" },
-				{ icon: "🕵️", text: "Research the company independently" },
+				{ icon: "🚫", text: i18n("recHigh1") },
+				{ icon: "📞", text: i18n("recHigh2") },
+				{ icon: "💰", text: i18n("recHigh3") },
+				{ icon: "🕵️", text: i18n("recHigh4") },
 			],
 			medium: [
-				{ icon: "🔍", text: "Do more research before applying" },
-				{ icon: "🏢", text: "Verify that the company exists" },
-				{ icon: "📧", text: "Use a secondary email to apply" },
-				{ icon: "❓", text: "Ask specific questions in the interview" },
+				{ icon: "🔍", text: i18n("recMedium1") },
+				{ icon: "🏢", text: i18n("recMedium2") },
+				{ icon: "📧", text: i18n("recMedium3") },
+				{ icon: "❓", text: i18n("recMedium4") },
 			],
 			low: [
-				{ icon: "✅", text: "Work seems legitimate" },
-				{ icon: "📋", text: "Review terms and conditions" },
-				{ icon: "🤝", text: "Proceed with normal caution" },
+				{ icon: "✅", text: i18n("recLow1") },
+				{ icon: "📋", text: i18n("recLow2") },
+				{ icon: "🤝", text: i18n("recLow3") },
+			],
+			unknown: [
+				{ icon: "🔌", text: i18n("recUnknown1") },
+				{ icon: "🏢", text: i18n("recUnknown2") },
+				{ icon: "🔄", text: i18n("recUnknown3") },
 			],
 		};
 
@@ -669,8 +1179,8 @@ class ScamShieldSidepanel {
 			if (this.currentTab?.isSupported && Math.random() < 0.1) {
 				this.addActivityItem({
 					type: "scanning",
-					title: "Monitoring page",
-					description: "Looking for new job offers...",
+					title: i18n("activityMonitoring"),
+					description: i18n("activityMonitoringText"),
 					timestamp: Date.now(),
 				});
 			}
@@ -683,6 +1193,3 @@ let sidepanel;
 document.addEventListener("DOMContentLoaded", () => {
 	sidepanel = new ScamShieldSidepanel();
 });
-
-// Hacer disponible globalmente para onclick handlers
-window.sidepanel = sidepanel;
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScript, readFixture } = require("./helpers/content-script");
+
+const GLASSDOOR_URL = "https://www.glassdoor.com/Job/austin-senior-data-analyst-jobs-SRCH_IL.0,6_IC1139761_KO7,26.htm?jl=1009123456";
+
+test("un resultado cacheado de riesgo alto muestra el badge aunque el análisis local no lo mostrara", async () => {
+	const { window, detector } = loadContentScript({ url: GLASSDOOR_URL, html: readFixture("glassdoor-card.html"), site: "glassdoor" });
+	detector.isActive = true; // El helper no arranca la protección (ni el escaneo automático)
+	detector.profile = window.getSensitivityProfile("low"); // El badge local solo aparece por encima de 0.3
+	window.chrome.runtime.sendMessage = async (message) =>
+		message.action === "analyzeJob" ? { cached: true, analysis: { jobId: "1009123456", status: "ok", risk: 0.85, confidence: 0.9, flags: [] } } : undefined;
+
+	const element = window.document.querySelector(detector.getJobSelectors().join(", "));
+	await detector.scanJobElement(element);
+
+	const badge = element.querySelector(".scam-shield-badge");
+	assert.ok(badge, "se crea el badge con el resultado de la caché");
+	assert.ok(badge.classList.contains("risk-high"));
+});
+
+test("un resultado cacheado de riesgo bajo no añade badge", async () => {
+	const { window, detector } = loadContentScript({ url: GLASSDOOR_URL, html: readFixture("glassdoor-card.html"), site: "glassdoor" });
+	detector.isActive = true;
+	detector.profile = window.getSensitivityProfile("low");
+	window.chrome.runtime.sendMessage = async (message) =>
+		message.action === "analyzeJob" ? { cached: true, analysis: { jobId: "1009123456", status: "ok", risk: 0.1, confidence: 0.9, flags: [] } } : undefined;
+
+	const element = window.document.querySelector(detector.getJobSelectors().join(", "));
+	await detector.scanJobElement(element);
+
+	assert.equal(element.querySelector(".scam-shield-badge"), null);
+});
@@ -0,0 +1,38 @@
+// Carga el content script (scripts clásicos, como en el manifest) en una página jsdom con la API de chrome simulada
+const fs = require("fs");
+const vm = require("vm");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "../..");
+const CONTENT_SCRIPTS = ["config/config.js", "config/site-adapters.js", "config/salary-parser.js", "config/pattern-packs.js", "content/content.js"];
+const ADAPTERS = JSON.parse(fs.readFileSync(path.join(ROOT, "config/site-adapters.json"), "utf8")).adapters;
+
+function readFixture(name) {
+	return fs.readFileSync(path.join(ROOT, "test/fixtures", name), "utf8");
+}
+
+// Devuelve { window, detector } con el adaptador del sitio ya asignado (sin escanear la página)
+function loadContentScript({ url, html = "", site }) {
+	// Consola silenciada: sin red ni backend, el escaneo automático al cargar solo registra errores esperados
+	const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, { url, runScripts: "outside-only", virtualConsole: new VirtualConsole() });
+	const { window } = dom;
+
+	window.chrome = {
+		i18n: { getMessage: (key) => key, getUILanguage: () => "en" },
+		runtime: { getURL: (file) => file, sendMessage: () => Promise.resolve(), onMessage: { addListener() {} } },
+		storage: { local: { get: (keys, callback) => callback({}), set: (values, callback) => callback && callback() }, sync: { get: (keys, callback) => callback({}) } },
+	};
+	window.fetch = () => Promise.reject(new Error("Sin red en los tests"));
+
+	// Como varias etiquetas <script>: comparten el entorno global, también las declaraciones de clase
+	const context = dom.getInternalVMContext();
+	CONTENT_SCRIPTS.forEach((file) => new vm.Script(fs.readFileSync(path.join(ROOT, file), "utf8"), { filename: file }).runInContext(context));
+
+	const detector = new vm.Script("new ScamShieldDetector()").runInContext(context);
+	detector.adapter = ADAPTERS.find((adapter) => adapter.id === site);
+	detector.currentSite = site;
+	return { window, detector };
+}
+
+module.exports = { loadContentScript, readFixture };
@@ -0,0 +1,17 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScript, readFixture } = require("./helpers/content-script");
+
+const GLASSDOOR_URL = "https://www.glassdoor.com/Job/austin-senior-data-analyst-jobs-SRCH_IL.0,6_IC1139761_KO7,26.htm?jl=1009123456";
+
+test("el detalle sin empresa (ni en la tarjeta) se analiza sin errores", () => {
+	const html = readFixture("glassdoor-detail.html").replace(/<h4 [^>]*EmployerProfile_employerName[^>]*>.*?<\/h4>/, "");
+	const { window, detector } = loadContentScript({ url: GLASSDOOR_URL, html, site: "glassdoor" });
+	const container = window.document.querySelector(detector.adapter.detail.containerSelectors.join(", "));
+
+	const jobData = detector.mergeJobDetail(undefined, detector.extractJobDetail(container));
+	assert.equal(jobData.company, "");
+
+	const risk = detector.performLocalAnalysis(jobData);
+	assert.equal(risk.risk, 0);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const vm = require("vm");
+const path = require("path");
+
+// Carga la bandeja de salida (script clásico del service worker) con storage y alarmas en memoria
+function createOutbox(sender) {
+	const storage = {};
+	const chrome = {
+		storage: {
+			local: {
+				get: (keys, callback) => callback(Object.fromEntries(keys.filter((key) => key in storage).map((key) => [key, storage[key]]))),
+				set: (values, callback) => callback(Object.assign(storage, values)),
+			},
+		},
+		alarms: { create: async () => {}, clear: async () => true },
+	};
+	const context = vm.createContext({ chrome });
+	new vm.Script(fs.readFileSync(path.join(__dirname, "../background/report-outbox.js"), "utf8")).runInContext(context);
+	const ReportOutbox = new vm.Script("ReportOutbox").runInContext(context);
+	return new ReportOutbox({ sender, maxAttempts: 2 });
+}
+
+const offline = () => Object.assign(new Error("Error de red"), { retryable: true, code: "offline" });
+
+test("los envíos sin conexión no gastan intentos ni pasan a fallidos", async () => {
+	const outbox = createOutbox(async () => {
+		throw offline();
+	});
+	await outbox.add({ id: "r1", body: {}, summary: {} });
+	for (let i = 0; i < 5; i++) await outbox.deliver("r1");
+
+	const [item] = await outbox.list();
+	assert.equal(item.status, "pending");
+	assert.equal(item.attempts, 0);
+	assert.equal(item.lastError, "offline");
+});
+
+test("los errores del servidor sí agotan los intentos", async () => {
+	const outbox = createOutbox(async () => {
+		throw Object.assign(new Error("API Error: 503"), { retryable: true, code: "server_error" });
+	});
+	await outbox.add({ id: "r1", body: {}, summary: {} });
+	await outbox.deliver("r1");
+
+	const [item] = await outbox.list();
+	assert.equal(item.status, "failed");
+	assert.equal(item.attempts, 2);
+});
+
+test("al volver la conexión se envían los pendientes y los que fallaron sin conexión", async () => {
+	let online = false;
+	const sent = [];
+	const outbox = createOutbox(async (body) => {
+		if (!online) throw offline();
+		sent.push(body.id);
+		return { success: true };
+	});
+	await outbox.add({ id: "r1", body: { id: "r1" }, summary: {} });
+	// Fallido sin conexión por una versión anterior que contaba esos intentos
+	outbox.items.push({ id: "r2", body: { id: "r2" }, summary: {}, status: "failed", attempts: 6, nextAttemptAt: null, lastError: "offline", createdAt: Date.now() });
+
+	online = true;
+	await outbox.resume();
+
+	assert.deepEqual(sent.sort(), ["r1", "r2"]);
+	assert.equal((await outbox.list()).length, 0);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSalary } = require("../config/salary-parser");
+
+test("reconoce los prefijos de dólar canadiense C$ y CA$ (no como dólar australiano)", () => {
+	assert.equal(parseSalary("CA$80,000 - CA$95,000 a year").currency, "CAD");
+	assert.equal(parseSalary("C$80,000 per year").currency, "CAD");
+	assert.equal(parseSalary("A$80,000 per year").currency, "AUD");
+	assert.equal(parseSalary("US$80,000 per year").currency, "USD");
+});
+
+test("un \"$\" suelto no fija la moneda: la decide la ubicación de la oferta", () => {
+	const salary = parseSalary("$80,000 per year");
+	assert.equal(salary.currency, null);
+	assert.equal(salary.currencySymbol, "$");
+	assert.equal(salary.confidence, 0.9);
+	assert.equal(parseSalary("45-60k").currencySymbol, null);
+});
+
+test("interpreta rangos con sufijo k en ambos extremos o sólo en el segundo", () => {
+	for (const text of ["$45k–$60k", "$45K - $60K", "45-60k"]) {
+		const salary = parseSalary(text);
+		assert.equal(salary.min, 45000, text);
+		assert.equal(salary.max, 60000, text);
+		assert.equal(salary.period, "year", text);
+		assert.equal(salary.periodInferred, true, text);
+	}
+});
+
+test("respeta los separadores de miles y decimales de cada formato", () => {
+	assert.equal(parseSalary("$1,200/week").max, 1200);
+	assert.equal(parseSalary("€45.000 brutos anuales").max, 45000);
+	assert.equal(parseSalary("€45 000 per year").max, 45000);
+	assert.equal(parseSalary("18,50 € la hora").max, 18.5);
+	assert.equal(parseSalary("1,50,000 INR per month").max, 150000);
+});
+
+test("anualiza salarios semanales, por hora, mensuales y diarios", () => {
+	const weekly = parseSalary("$1,200/week");
+	assert.equal(weekly.period, "week");
+	assert.equal(weekly.annualMax, 62400);
+
+	const hourly = parseSalary("$18.50-$22.75/hr");
+	assert.equal(hourly.period, "hour");
+	assert.equal(hourly.min, 18.5);
+	assert.equal(hourly.max, 22.75);
+	assert.equal(hourly.annualMin, 38480);
+	assert.equal(hourly.annualMax, 47320);
+	assert.equal(parseSalary("$20-25/hr").annualMin, 41600);
+
+	const monthly = parseSalary("$4,500 a month");
+	assert.equal(monthly.period, "month");
+	assert.equal(monthly.annualMax, 54000);
+	assert.equal(parseSalary("$45,000 mensuales").annualMax, 540000);
+
+	const daily = parseSalary("$250 per day");
+	assert.equal(daily.period, "day");
+	assert.equal(daily.annualMax, 65000);
+});
+
+test("sin periodo explícito lo deduce por magnitud y baja la confianza", () => {
+	assert.equal(parseSalary("$95,000").period, "year");
+	assert.equal(parseSalary("$95,000").confidence, 0.7);
+	assert.equal(parseSalary("$2,000").period, "month");
+	assert.equal(parseSalary("$900").period, "week");
+	assert.equal(parseSalary("$900").confidence, 0.5);
+});
+
+test("ignora 401(k) y textos sin importes", () => {
+	assert.equal(parseSalary("401(k) match, $60,000 a year").max, 60000);
+	assert.equal(parseSalary("Competitive pay"), null);
+	assert.equal(parseSalary(""), null);
+});
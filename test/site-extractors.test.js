@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScript, readFixture } = require("./helpers/content-script");
+
+const SITES = [
+	{
+		site: "glassdoor",
+		url: "https://www.glassdoor.com/Job/austin-senior-data-analyst-jobs-SRCH_IL.0,6_IC1139761_KO7,26.htm?jl=1009123456",
+		card: "glassdoor-card.html",
+		detail: "glassdoor-detail.html",
+		expected: {
+			id: "1009123456",
+			title: "Senior Data Analyst",
+			company: "Northwind Traders",
+			location: "Austin, TX",
+			salary: "$85K - $110K (Employer provided)",
+			url: "https://www.glassdoor.com/job-listing/senior-data-analyst-northwind-traders-JV_IC1139761_KO0,19_KE20,37.htm?jl=1009123456",
+			postedTime: "3d",
+		},
+	},
+	{
+		site: "ziprecruiter",
+		url: "https://www.ziprecruiter.com/jobs-search?search=nurse&location=Denver&jid=a1b2c3d4",
+		card: "ziprecruiter-card.html",
+		detail: "ziprecruiter-detail.html",
+		expected: {
+			id: "a1b2c3d4",
+			title: "Registered Nurse",
+			company: "Contoso Health",
+			location: "Denver, CO",
+			salary: "$38 - $52 an hour",
+			url: "https://www.ziprecruiter.com/c/Contoso-Health/Job/Registered-Nurse/-in-Denver,CO?jid=a1b2c3d4",
+			postedTime: "Posted 2 days ago",
+		},
+	},
+];
+
+for (const { site, url, card, detail, expected } of SITES) {
+	test(`${site}: extrae los datos de la tarjeta`, () => {
+		const { window, detector } = loadContentScript({ url, html: readFixture(card), site });
+		const element = window.document.querySelector(detector.getJobSelectors().join(", "));
+		assert.ok(element, "la tarjeta coincide con los selectores del adaptador");
+
+		const job = detector.extractJobData(element);
+		assert.equal(job.id, expected.id);
+		assert.equal(job.title, expected.title);
+		assert.equal(job.company, expected.company);
+		assert.equal(job.location, expected.location);
+		assert.equal(job.salary, expected.salary);
+		// El enlace de la oferta (no el de la empresa) y su antigüedad
+		assert.equal(job.url, expected.url);
+		assert.equal(job.postedTime, expected.postedTime);
+		assert.equal(job.site, site);
+	});
+
+	test(`${site}: extrae los datos del detalle`, () => {
+		const { window, detector } = loadContentScript({ url, html: readFixture(detail), site });
+		const container = window.document.querySelector(detector.adapter.detail.containerSelectors.join(", "));
+		assert.ok(container, "el detalle coincide con los selectores del adaptador");
+
+		const job = detector.extractJobDetail(container);
+		assert.equal(job.id, expected.id);
+		assert.equal(job.title, expected.title);
+		assert.equal(job.company, expected.company);
+		assert.equal(job.location, expected.location);
+		assert.equal(job.salary, expected.salary);
+		// El detalle no trae enlace propio: la oferta es la página abierta (de donde sale el ID)
+		assert.equal(job.url, url);
+		assert.ok(job.description.length > 50);
+	});
+}
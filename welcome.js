@@ -0,0 +1,10 @@
+// ScamShield - Página de bienvenida
+// Los manejadores van aquí porque la CSP de MV3 no permite scripts en línea.
+document.addEventListener("DOMContentLoaded", () => {
+	localizeDocument();
+	document.title = i18n("welcomeTitle");
+
+	document.getElementById("linkedinBtn").addEventListener("click", () => {
+		chrome.tabs.create({ url: "https://linkedin.com/jobs" });
+	});
+});